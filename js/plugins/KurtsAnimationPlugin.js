@@ -73,6 +73,376 @@
  * @max 8
  * @default 5
  * 
+ * @param Run Hysteresis
+ * @text Run Hysteresis
+ * @desc Once running, keep the run animation until move speed drops this far below the threshold (avoids flicker).
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @default 0.5
+ * 
+ * @param Walk Stride Length
+ * @text Walk Stride Length
+ * @desc Pixels traveled per walk cycle; frames then advance with distance moved. 0 = use the speed formulas.
+ * @type number
+ * @min 0
+ * @default 0
+ * 
+ * @param Run Stride Length
+ * @text Run Stride Length
+ * @desc Pixels traveled per run cycle; frames then advance with distance moved. 0 = use the speed formulas.
+ * @type number
+ * @min 0
+ * @default 0
+ * 
+ * @param Diagonal Fallback
+ * @text Diagonal Fallback Order
+ * @desc Which cardinal animation to use when a diagonal set (e.g. walkUpLeft) is missing.
+ * @type select
+ * @option Horizontal, then Vertical
+ * @value horizontal
+ * @option Vertical, then Horizontal
+ * @value vertical
+ * @default horizontal
+ * 
+ * @param Auto Mirror
+ * @text Auto Mirror Left/Right
+ * @desc Flip the opposite side when a Left/Right animation is missing (walkRight drawn mirrored for walkLeft).
+ * @type boolean
+ * @default false
+ * 
+ * @param Idle Variants
+ * @text Idle Variants
+ * @desc Idle variants (e.g. Fidget plays idleDownFidget0..n) that play after standing still for a while.
+ * @type struct<IdleVariant>[]
+ * @default []
+ * 
+ * @param Idle Variant Interval Min
+ * @text Idle Variant Interval Min
+ * @desc Minimum frames of standing still between idle variants (60 = 1 second).
+ * @type number
+ * @min 1
+ * @default 240
+ * 
+ * @param Idle Variant Interval Max
+ * @text Idle Variant Interval Max
+ * @desc Maximum frames of standing still between idle variants (60 = 1 second).
+ * @type number
+ * @min 1
+ * @default 600
+ * 
+ * @param Animation Sets
+ * @text Animation Sets
+ * @desc Animation families (e.g. swim plays swimDown, swimIdleDown) used under conditions. The first matching set wins.
+ * @type struct<AnimationSet>[]
+ * @default []
+ * 
+ * @param Transition Input
+ * @text Transition Input
+ * @desc What movement does while a turn or stop transition (turnLeftToRight, stopRunDown) plays.
+ * @type select
+ * @option Cancel the transition
+ * @value cancel
+ * @option Buffer until it ends
+ * @value buffer
+ * @default cancel
+ * 
+ * @param JSON For All Sheets
+ * @text Detect JSON For All Sheets
+ * @desc Look for a JSON atlas next to every character sheet (not only $ sheets). Sheets without one work as usual.
+ * @type boolean
+ * @default false
+ * 
+ * @param Validate Atlases
+ * @text Validate Atlases (Test Play)
+ * @desc In test play, check the JSON atlases used by the database and each map and report problems in the console.
+ * @type boolean
+ * @default true
+ * 
+ * @param Validation Overlay
+ * @text Validation Overlay
+ * @desc Also show atlas problems on screen during test play (hides after 10 seconds).
+ * @type boolean
+ * @default false
+ * 
+ * @param Frame Event Files
+ * @text Load Frame Event Files
+ * @desc Load frame events from a sidecar file next to each atlas (e.g. $clem.events.json).
+ * @type boolean
+ * @default false
+ * 
+ * @param Sound Falloff Distance
+ * @text Frame Sound Falloff Distance
+ * @desc Distance (tiles) from the player at which frame event sounds become silent. 0 = no attenuation.
+ * @type number
+ * @min 0
+ * @default 10
+ * 
+ * @param Base Frame Duration
+ * @text Base Frame Duration (ms)
+ * @desc Frame duration (ms) that plays at the speed set by the speed formulas. Longer frames are held proportionally longer.
+ * @type number
+ * @min 1
+ * @default 100
+ * 
+ * @param Picture Atlases
+ * @text Animated Pictures
+ * @desc Look for a JSON atlas next to every shown picture (e.g. clemTalking.json). Pictures named with [anim] always do.
+ * @type boolean
+ * @default false
+ * 
+ * @param Mouth Track
+ * @text Mouth Track Animation
+ * @desc Mouth animation of every picture and character (moves while any message prints). Empty = only targets set with Set Overlay Tracks.
+ * @type string
+ * @default 
+ * 
+ * @param Eyes Track
+ * @text Eyes Track Animation
+ * @desc Animation drawn over pictures and characters that plays at random intervals (blinking). Empty = off.
+ * @type string
+ * @default blink
+ * 
+ * @param Blink Interval Min
+ * @text Blink Interval Min
+ * @desc Minimum frames between blinks.
+ * @type number
+ * @min 1
+ * @default 120
+ * 
+ * @param Blink Interval Max
+ * @text Blink Interval Max
+ * @desc Maximum frames between blinks.
+ * @type number
+ * @min 1
+ * @default 300
+ * 
+ * @command playAnimation
+ * @text Play Animation
+ * @desc Plays a named animation from the character's JSON.
+ *
+ * @arg characterId
+ * @text Character
+ * @desc -1 = player, 0 = this event, 1+ = event ID.
+ * @type number
+ * @min -1
+ * @default -1
+ *
+ * @arg animation
+ * @text Animation Name
+ * @desc Animation to play (e.g. pickUp, sitLeft). The facing direction is appended if that animation exists.
+ * @type string
+ * @default 
+ *
+ * @arg mode
+ * @text Play Mode
+ * @desc once = play then return to idle, loop = repeat until stopped, hold = stay on the last frame until stopped.
+ * @type select
+ * @option once
+ * @option loop
+ * @option hold
+ * @default once
+ *
+ * @arg wait
+ * @text Wait for Completion
+ * @desc Wait until the animation finishes (once) or reaches its last frame (hold). Ignored for loop.
+ * @type boolean
+ * @default false
+ *
+ * @command stopAnimation
+ * @text Stop Animation
+ * @desc Stops the custom animation and returns to idle/walk/run.
+ *
+ * @arg characterId
+ * @text Character
+ * @desc -1 = player, 0 = this event, 1+ = event ID.
+ * @type number
+ * @min -1
+ * @default -1
+ *
+ * @command setLayer
+ * @text Set Layer
+ * @desc Adds or replaces a layer (clothing, accessory) drawn over the character in sync with its animation.
+ *
+ * @arg characterId
+ * @text Character
+ * @desc -1 = player, 0 = this event, 1+ = event ID. Ignored when Actor is set.
+ * @type number
+ * @min -1
+ * @default -1
+ *
+ * @arg actorId
+ * @text Actor
+ * @desc Actor whose layers to change (shown wherever the actor is drawn). None = use Character.
+ * @type actor
+ * @default 0
+ *
+ * @arg layer
+ * @text Layer Name
+ * @desc Name of the layer (e.g. dress). Setting an existing layer replaces it.
+ * @type string
+ * @default dress
+ *
+ * @arg image
+ * @text Image
+ * @desc Character image of the layer, with a JSON atlas using the same animations (e.g. $dressBlue).
+ * @type file
+ * @dir img/characters
+ * @default
+ *
+ * @arg z
+ * @text Z-Order
+ * @desc Drawing order. Negative = behind the character, 0 or more = in front (higher = on top).
+ * @type number
+ * @min -100
+ * @max 100
+ * @default 1
+ *
+ * @arg tint
+ * @text Tint
+ * @desc Tint color as hex (e.g. #ff8080). #ffffff = no tint.
+ * @type string
+ * @default #ffffff
+ *
+ * @arg visible
+ * @text Visible
+ * @type boolean
+ * @default true
+ *
+ * @command setLayerVisible
+ * @text Show/Hide Layer
+ * @desc Shows or hides a layer without removing it.
+ *
+ * @arg characterId
+ * @text Character
+ * @desc -1 = player, 0 = this event, 1+ = event ID. Ignored when Actor is set.
+ * @type number
+ * @min -1
+ * @default -1
+ *
+ * @arg actorId
+ * @text Actor
+ * @desc Actor whose layers to change. None = use Character.
+ * @type actor
+ * @default 0
+ *
+ * @arg layer
+ * @text Layer Name
+ * @type string
+ * @default dress
+ *
+ * @arg visible
+ * @text Visible
+ * @type boolean
+ * @default true
+ *
+ * @command removeLayer
+ * @text Remove Layer
+ * @desc Removes a layer. Leave Layer Name empty to remove all layers.
+ *
+ * @arg characterId
+ * @text Character
+ * @desc -1 = player, 0 = this event, 1+ = event ID. Ignored when Actor is set.
+ * @type number
+ * @min -1
+ * @default -1
+ *
+ * @arg actorId
+ * @text Actor
+ * @desc Actor whose layers to change. None = use Character.
+ * @type actor
+ * @default 0
+ *
+ * @arg layer
+ * @text Layer Name
+ * @desc Layer to remove. Empty = all layers.
+ * @type string
+ * @default
+ *
+ * @command playPictureAnimation
+ * @text Play Picture Animation
+ * @desc Plays a named animation from a picture's JSON atlas.
+ *
+ * @arg pictureId
+ * @text Picture Number
+ * @type number
+ * @min 1
+ * @default 1
+ *
+ * @arg animation
+ * @text Animation Name
+ * @desc Animation to play (e.g. talk, blink).
+ * @type string
+ * @default 
+ *
+ * @arg mode
+ * @text Play Mode
+ * @desc once = play then return to the first frame, loop = repeat until stopped, hold = stay on the last frame.
+ * @type select
+ * @option once
+ * @option loop
+ * @option hold
+ * @default loop
+ *
+ * @arg speed
+ * @text Speed Formula
+ * @desc Speed modifier like the character speeds ('f' = frame count). Empty = JSON meta or none.
+ * @type string
+ * @default 
+ *
+ * @arg wait
+ * @text Wait for Completion
+ * @desc Wait until the animation finishes (once) or reaches its last frame (hold). Ignored for loop.
+ * @type boolean
+ * @default false
+ *
+ * @command stopPictureAnimation
+ * @text Stop Picture Animation
+ * @desc Stops a picture's animation and shows its first frame.
+ *
+ * @arg pictureId
+ * @text Picture Number
+ * @type number
+ * @min 1
+ * @default 1
+ *
+ * @command setOverlayTracks
+ * @text Set Overlay Tracks
+ * @desc Chooses the mouth and eyes animations drawn over a picture or character.
+ *
+ * @arg target
+ * @text Target
+ * @type select
+ * @option picture
+ * @option character
+ * @default picture
+ *
+ * @arg pictureId
+ * @text Picture Number
+ * @desc Picture to change (Target = picture).
+ * @type number
+ * @min 1
+ * @default 1
+ *
+ * @arg characterId
+ * @text Character
+ * @desc -1 = player, 0 = this event, 1+ = event ID (Target = character).
+ * @type number
+ * @min -1
+ * @default -1
+ *
+ * @arg mouth
+ * @text Mouth Animation
+ * @desc Moves while message text prints. Empty = no mouth track.
+ * @type string
+ * @default mouth
+ *
+ * @arg eyes
+ * @text Eyes Animation
+ * @desc Plays at random intervals. Empty = no eyes track.
+ * @type string
+ * @default blink
+ *
  * @help
  * ============================================================================
  * JSON Frame Animations Plugin
@@ -102,9 +472,252 @@
  * 4. If any animation is missing, the plugin will display the very first
  *    frame of the sprite sheet (idle0 or the first frame in the JSON).
  * 
+ * FRAME TAGS:
+ * -----------
+ * Instead of naming every frame, you can define animations with frame tags
+ * (meta.frameTags in the exported JSON). Name each tag after the animation
+ * (e.g. walkDown, runLeft); its from/to range selects the frames and its
+ * direction (forward, reverse, pingpong) sets the playback order.
+ * Animations without a tag fall back to the frame naming scheme above.
+ * 
+ * PER-CHARACTER SETTINGS:
+ * -----------------------
+ * The speed formulas, run threshold and fallbacks can be overridden per
+ * character. Settings are read from (highest priority first):
+ *   1. An event's note, or the actor's note for the player and followers:
+ *        <kurtAnim:walk=f * 0.4; runUp=f * 1.2; runThreshold=6>
+ *   2. A "kurtAnim" block in the meta of the character JSON:
+ *        "meta": { "kurtAnim": { "walkLeft": "f * 0.4", "fallback": "vertical" } }
+ *   3. The plugin parameters.
+ * Keys:
+ *   runThreshold - move speed at which the character runs
+ *   runHysteresis - how far below runThreshold running stops
+ *   walkStride, runStride - pixels per cycle (see STRIDE LENGTH)
+ *   fallback     - horizontal or vertical (missing diagonal animations)
+ *   mirror       - true or false (see AUTO MIRROR)
+ *   missing      - first (first frame of the sheet) or idle (idle animation)
+ *                  when an animation is missing
+ *   transitionInput - cancel or buffer (see TRANSITIONS)
+ *   json         - true or false (see OTHER SHEETS)
+ *   any other key is a speed formula for an animation (walkLeft) or for
+ *   every direction of a type (walk, run, idle, pickUp)
+ * Separate entries with ; (formulas in notetags can't contain ">").
+ * 
+ * STRIDE LENGTH:
+ * --------------
+ * With Walk/Run Stride Length above 0, walk and run frames advance with the
+ * distance the character actually moves instead of the speed formulas: one
+ * full cycle per stride length (in pixels), split by the frame durations.
+ * Feet stay planted at any move speed, including speed ramps and analog
+ * movement. Running starts at Run Speed Threshold and stops only when the
+ * move speed falls Run Hysteresis below it.
+ * 
+ * SPEED FORMULAS:
+ * ---------------
+ * Speed formulas are arithmetic expressions, checked when the game starts
+ * (an invalid formula stops the game with an error naming the parameter).
+ * <kurtAnim> formulas are checked the same way at boot: actor notes, and
+ * during test play the event notes of every map. In a deployed game an
+ * invalid formula in an event note only logs a warning and is ignored, like
+ * one in the JSON meta.
+ * Available:
+ *   f      - frame count of the animation
+ *   speed  - character's move speed (including dash)
+ *   dash   - 1 while dashing, 0 otherwise
+ *   + - * / % ^, comparisons, && || !, condition ? a : b, parentheses
+ *   min, max, abs, floor, ceil, round, sqrt, pow, sin, cos, clamp, PI, E
+ * Example: dash ? f * 1.2 : f * 0.8
+ * 
+ * OTHER SHEETS:
+ * -------------
+ * $ sheets use JSON frames automatically. Other sheets (regular 8-character
+ * sheets, ! objects like doors and chests) opt in by:
+ *   - adding [anim] to the file name (!Door[anim].png + !Door[anim].json)
+ *   - the json=true setting on the event or actor: <kurtAnim:json=true>
+ *   - Detect JSON For All Sheets (every sheet with a JSON next to it)
+ * json=false turns JSON frames off for a character. On multi-character
+ * sheets the character index picks the frames:
+ *   - frames prefixed with the index (0/walkDown0, 1/walkDown0; frame tags
+ *     too: 1/walkDown) use only that character's frames
+ *   - otherwise frame rects are relative to the character's block of the
+ *     sheet (one JSON describes all eight characters)
+ * 
+ * TRIMMED FRAMES AND PIVOTS:
+ * --------------------------
+ * Trimmed exports are offset back into their source box (spriteSourceSize,
+ * sourceSize), so characters don't jitter. Rotated atlas frames are drawn
+ * upright. The sprite anchor defaults to the bottom center of the source
+ * box; to change it, add an Aseprite slice with a pivot (a slice named
+ * "pivot" is preferred) or a per-frame "pivot" (0-1) in the JSON.
+ * 
+ * FRAME DURATIONS:
+ * ----------------
+ * Each frame's "duration" value (ms) from the JSON is honored. The speed
+ * formulas still set the overall pace of an animation; a frame whose
+ * duration equals Base Frame Duration (default 100ms) plays at exactly that
+ * pace, a 200ms frame is held twice as long, a 50ms frame half as long.
+ * This lets you hold key poses longer without duplicating frames.
+ * 
+ * 8 DIRECTIONS:
+ * -------------
+ * Diagonal movement (mouse pathing, 8-direction movement plugins) uses
+ * diagonal frame sets: walkUpLeft, walkUpRight, walkDownLeft, walkDownRight
+ * (same for idle, run and custom animations). The last diagonal direction is
+ * remembered, so idle can face diagonally too. When a diagonal set is missing,
+ * the horizontal then vertical set is used (see Diagonal Fallback Order).
+ * 
+ * AUTO MIRROR:
+ * ------------
+ * With Auto Mirror Left/Right ON (or mirror=true per character), a missing
+ * Left or Right animation is drawn by flipping the opposite side: walkLeft
+ * from walkRight, idleUpLeft from idleUpRight, turnRightToLeft from
+ * turnLeftToRight. The flip is applied after other plugins have scaled the
+ * sprite, so it works together with perspective scaling and shakes.
+ * 
+ * CUSTOM ANIMATIONS:
+ * ------------------
+ * Any animation in the JSON (e.g. pickUpDown0..n, sitLeft, waveRight) can be
+ * played with the "Play Animation" plugin command or from a script:
+ *   $gamePlayer.playCustomAnimation('pickUp', 'once');
+ *   $gameMap.event(3).playCustomAnimation('sitLeft', 'hold');
+ *   $gamePlayer.stopCustomAnimation();
+ *   $gamePlayer.isCustomAnimationPlaying();
+ * The facing direction is appended first (pickUp -> pickUpDown), falling
+ * back to the name as written. Modes:
+ *   once - play once, then return to idle
+ *   loop - repeat until stopped
+ *   hold - stay on the last frame until stopped
+ * 
+ * LAYERS:
+ * -------
+ * Clothing and accessories can be drawn as layers over a character (e.g.
+ * $dressBlue or $lipstick over $clem). Each layer has its own image and JSON
+ * atlas, which must use the same animation names as the character; layers
+ * always show the same animation and frame as the body. Use the Set Layer,
+ * Show/Hide Layer and Remove Layer plugin commands, or scripts:
+ *   $gamePlayer.setAnimationLayer('dress', { image: '$dressBlue', z: 1 });
+ *   $gameActors.actor(1).setAnimationLayer('lips', { image: '$lipstick', z: 2, tint: '#ff8080' });
+ *   $gameMap.event(3).setAnimationLayerVisible('dress', false);
+ *   $gamePlayer.removeAnimationLayer('dress');
+ * Layers set on the player or a follower belong to its actor and follow the
+ * actor; layers set on an event belong to that event. Both are saved with
+ * the game. Z-Order below 0 draws the layer behind the body. Layers are not
+ * made transparent in bushes.
+ * 
+ * ANIMATED PICTURES:
+ * ------------------
+ * A picture named with [anim] (or any picture with Animated Pictures ON)
+ * and a JSON atlas next to it (img/pictures/clem[anim].json for
+ * clem[anim].png) shows one frame at a time and can play the atlas's
+ * animations (talk0..n, blink0..n, frame tags) with the Play Picture
+ * Animation and Stop Picture Animation plugin commands, or scripts:
+ *   $gameScreen.picture(1).playAtlasAnimation('talk', 'loop', 'f * 0.5');
+ *   $gameScreen.picture(1).stopAtlasAnimation();
+ * Speed formulas work like the character ones (speed is 4, dash is 0); an
+ * empty formula uses the kurtAnim block of the JSON meta. Without an
+ * animation the picture shows the first frame of the last animation, or
+ * the first frame of the atlas. Showing or erasing the picture stops its
+ * animation. Picture animations are saved with the game.
+ * 
+ * MOUTH AND EYES:
+ * ---------------
+ * Pictures and JSON characters can draw overlay tracks over the body. A
+ * mouth track (mouth0..n, or mouthDown0..n per direction on characters)
+ * moves while a message prints its text, and returns to its first (closed)
+ * frame when the text finishes or waits at \. or \| or \!. Mouth tracks
+ * are opt-in: turn one on for the speaker's portrait or character with the
+ * Set Overlay Tracks plugin command (and off again for the listener), or
+ * with scripts:
+ *   $gameScreen.picture(2).setOverlayTracks('mouth', 'blink');
+ *   $gamePlayer.setOverlayTracks('', 'blink');
+ * A "blink" animation plays once at random intervals (Blink Interval
+ * Min/Max) on every target whose atlas has it. Overlay frames share the
+ * body's source box and play at their JSON frame durations. A Mouth Track
+ * Animation parameter gives every target a mouth track, which suits games
+ * with a single portrait.
+ * 
+ * SAVING:
+ * -------
+ * A playing custom animation (its name, mode and current frame) is saved
+ * with the game and kept when the player transfers; the player, followers
+ * and events resume it on the same frame. Transitions and idle variants
+ * are not saved - characters return to their normal idle/walk cycle.
+ * 
+ * IDLE VARIANTS:
+ * --------------
+ * Add idle variants in the Idle Variants parameter to play extra idle
+ * animations after the character has stood still for a while. A variant
+ * named Fidget plays idleDownFidget0..n (idleLeftFidget0..n, ...) once and
+ * then returns to the base idle. Each variant needs its Required Idle Time
+ * of standing still; between variants the plugin waits a random number of
+ * frames (Idle Variant Interval Min/Max) and picks one of the allowed
+ * variants by weight. Movement or any player input cancels a variant.
+ * 
+ * ANIMATION SETS:
+ * ---------------
+ * Animation sets swap the walk/run/idle family under conditions, e.g. swim
+ * on water, climb on ladders, sneak while a switch is ON, carry while the
+ * actor has a state. Add them in the Animation Sets parameter with a prefix
+ * and any of: terrain tag, region ID, ladder tiles, switch, state (player
+ * and followers). All conditions of a set must be met; the first matching
+ * set wins. With the prefix swim:
+ *   walking  - swimDown
+ *   running  - swimRunDown, then swimDown
+ *   standing - swimIdleDown (loops)
+ * Animations missing from the set fall back to walk, run and idle.
+ * 
+ * TRANSITIONS:
+ * ------------
+ * Optional clips that play once between states before the next loop starts:
+ *   turnLeftToRight - a standing character turns (from Left to Right)
+ *   startWalkDown   - the character starts walking (startRunDown for running)
+ *   stopRunDown     - the character stops after running (stopWalkDown)
+ * Transitions that are missing from the JSON are skipped. Movement during a
+ * turn or stop transition depends on Transition Input:
+ *   cancel - the transition stops and the character moves right away
+ *   buffer - the move waits until the transition ends (a tapped direction
+ *            is remembered), so turning around from idle plays the turn
+ *            clip before walking
+ * 
+ * FRAME EVENTS:
+ * -------------
+ * Frames can fire sounds, common events, animations or scripts when they are
+ * shown. Declare them in the atlas JSON under "meta": { "frameEvents": ... }
+ * or, with Load Frame Event Files ON, in a sidecar file next to the atlas
+ * ($clem.events.json), which survives re-exports:
+ *   {
+ *     "walkDown1": ["se:Footstep:80"],
+ *     "walkDown3": [{ "type": "se", "name": "Footstep", "volume": 80 }],
+ *     "runDown2": ["animation:12"],
+ *     "pickUpDown:last": ["commonEvent:5"],
+ *     "waveRight:0": ["script:character.startShake(2, 5, 10)"]
+ *   }
+ * Keys are frame names, or animation:index (index may be "last").
+ * Event types: se (name, volume, pitch, pan), commonEvent (id),
+ * animation (id, played on the character), script (code; "character" is
+ * the character). Sound volume fades with distance from the player
+ * (see Frame Sound Falloff Distance).
+ * 
+ * ATLAS VALIDATION:
+ * -----------------
+ * In test play (Validate Atlases ON) every JSON atlas used by the actors in
+ * the database and by the events of each map is checked once, and problems
+ * are reported in the console (F8): missing directions (walkUp when walkDown
+ * exists), gaps in frame indices (walkLeft6 after a missing walkLeft5),
+ * rectangles outside the PNG, differing frame sizes within an animation and
+ * frames no animation uses. Turn on Validation Overlay to also list them on
+ * screen.
+ * 
+ * LOADING:
+ * --------
+ * JSON files are loaded asynchronously together with the character images
+ * (and for every event page on the map when it loads), so the map waits
+ * until they are ready instead of stalling while walking around.
+ * 
  * NOTE:
  * -----
- * - This plugin works with character files starting with $ symbol
+ * - This plugin works with character files starting with $ symbol, files
+ *   named with [anim], and characters tagged <kurtAnim:json=true>
  * - Each animation can have a different number of frames
  * - The plugin automatically detects walking vs running based on move speed
  * - You can configure the run speed threshold in plugin parameters (default: 5)
@@ -112,6 +725,68 @@
  * ============================================================================
  */
 
+/*~struct~IdleVariant:
+ * @param Name
+ * @text Variant Name
+ * @desc Suffix after idle + direction (Fidget = idleDownFidget0, idleLeftFidget0...).
+ * @default Fidget
+ *
+ * @param Idle Time
+ * @text Required Idle Time
+ * @desc Frames the character must stand still before this variant can play (60 = 1 second).
+ * @type number
+ * @min 0
+ * @default 180
+ *
+ * @param Weight
+ * @text Weight
+ * @desc Relative chance of this variant when several can play.
+ * @type number
+ * @min 1
+ * @default 1
+ */
+
+/*~struct~AnimationSet:
+ * @param Prefix
+ * @text Prefix
+ * @desc Animation prefix: swim plays swimDown (walk), swimRunDown (run) and swimIdleDown (idle).
+ * @default swim
+ *
+ * @param Terrain Tag
+ * @text Terrain Tag
+ * @desc Terrain tag the character must stand on. 0 = any.
+ * @type number
+ * @min 0
+ * @max 7
+ * @default 0
+ *
+ * @param Region ID
+ * @text Region ID
+ * @desc Region the character must stand on. 0 = any.
+ * @type number
+ * @min 0
+ * @max 255
+ * @default 0
+ *
+ * @param Ladder
+ * @text On Ladder
+ * @desc Only use this set on ladder tiles.
+ * @type boolean
+ * @default false
+ *
+ * @param Switch ID
+ * @text Switch
+ * @desc Switch that must be ON. None = any.
+ * @type switch
+ * @default 0
+ *
+ * @param State ID
+ * @text State
+ * @desc State the actor must have (player and followers only). None = any.
+ * @type state
+ * @default 0
+ */
+
 (() => {
     'use strict';
 
@@ -120,530 +795,3636 @@
     
     // Run speed threshold (move speed >= this value is considered running)
     const RUN_SPEED_THRESHOLD = Number(parameters['Run Speed Threshold']) || 5;
+
+    // Speed below the threshold at which a running character goes back to walking
+    const RUN_HYSTERESIS = Number(parameters['Run Hysteresis'] || 0.5);
+
+    // Pixels traveled per walk/run cycle (0 = frame rate from the speed formulas)
+    const WALK_STRIDE = Number(parameters['Walk Stride Length']) || 0;
+    const RUN_STRIDE = Number(parameters['Run Stride Length']) || 0;
+    
+    // Look for a JSON atlas next to every character sheet, not only $ sheets
+    const JSON_ALL_SHEETS = parameters['JSON For All Sheets'] === 'true';
+
+    // Check atlases in test play; optionally show problems on screen
+    const VALIDATE_ATLASES = parameters['Validate Atlases'] !== 'false';
+    const VALIDATION_OVERLAY = parameters['Validation Overlay'] === 'true';
+
+    // Load <atlas>.events.json sidecar files with frame events
+    const FRAME_EVENT_FILES = parameters['Frame Event Files'] === 'true';
+
+    // Look for a JSON atlas next to shown pictures
+    const PICTURE_ATLASES = parameters['Picture Atlases'] === 'true';
+
+    // Overlay track animations: mouth (message text) and eyes (blinking)
+    const MOUTH_TRACK = String(parameters['Mouth Track'] || '').trim();
+    const EYES_TRACK = parameters['Eyes Track'] !== undefined ? String(parameters['Eyes Track']).trim() : 'blink';
+
+    // Frames between blinks
+    const BLINK_INTERVAL_MIN = Math.max(1, Number(parameters['Blink Interval Min']) || 120);
+    const BLINK_INTERVAL_MAX = Math.max(BLINK_INTERVAL_MIN, Number(parameters['Blink Interval Max']) || 300);
+
+    // Distance (tiles) at which frame event sounds fade out completely (0 = off)
+    const SOUND_FALLOFF_DISTANCE = Number(parameters['Sound Falloff Distance'] || 10);
+    
+    // Idle variants: { name, idleTime, weight }
+    const IDLE_VARIANTS = JSON.parse(parameters['Idle Variants'] || '[]').map(json => {
+        const variant = JSON.parse(json);
+        return {
+            name: String(variant['Name'] || ''),
+            idleTime: Number(variant['Idle Time']) || 0,
+            weight: Number(variant['Weight']) || 1
+        };
+    }).filter(variant => variant.name);
+
+    // Animation sets: { prefix, terrainTag, regionId, ladder, switchId, stateId }
+    const ANIMATION_SETS = JSON.parse(parameters['Animation Sets'] || '[]').map(json => {
+        const set = JSON.parse(json);
+        return {
+            prefix: String(set['Prefix'] || ''),
+            terrainTag: Number(set['Terrain Tag']) || 0,
+            regionId: Number(set['Region ID']) || 0,
+            ladder: set['Ladder'] === 'true',
+            switchId: Number(set['Switch ID']) || 0,
+            stateId: Number(set['State ID']) || 0
+        };
+    }).filter(set => set.prefix);
+
+    // Frames of standing still between idle variants
+    const IDLE_VARIANT_INTERVAL_MIN = Number(parameters['Idle Variant Interval Min']) || 240;
+    const IDLE_VARIANT_INTERVAL_MAX = Math.max(IDLE_VARIANT_INTERVAL_MIN, Number(parameters['Idle Variant Interval Max']) || 600);
+
+    // Movement during turn/stop transitions: 'cancel' the transition or 'buffer' the move
+    const TRANSITION_INPUT = parameters['Transition Input'] === 'buffer' ? 'buffer' : 'cancel';
     
-    // Speed modifiers for each animation type and direction
-    const SPEED_MODIFIERS = {
-        'idleUp': parameters['Idle Up Speed'] || 'f * 0.5',
-        'idleDown': parameters['Idle Down Speed'] || 'f * 0.5',
-        'idleLeft': parameters['Idle Left Speed'] || 'f * 0.5',
-        'idleRight': parameters['Idle Right Speed'] || 'f * 0.5',
-        'walkUp': parameters['Walk Up Speed'] || 'f * 0.8',
-        'walkDown': parameters['Walk Down Speed'] || 'f * 0.8',
-        'walkLeft': parameters['Walk Left Speed'] || 'f * 0.8',
-        'walkRight': parameters['Walk Right Speed'] || 'f * 0.8',
-        'runUp': parameters['Run Up Speed'] || 'f * 1.0',
-        'runDown': parameters['Run Down Speed'] || 'f * 1.0',
-        'runLeft': parameters['Run Left Speed'] || 'f * 1.0',
-        'runRight': parameters['Run Right Speed'] || 'f * 1.0'
-    };
-
-    // Direction mapping: 2=down, 4=left, 6=right, 8=up
+    // Frame duration (ms) that plays at the pace set by the speed modifiers
+    const BASE_FRAME_DURATION = Number(parameters['Base Frame Duration']) || 100;
+    
+    // Speed modifier parameters for each animation type and direction: [parameter, default]
+    const SPEED_MODIFIER_PARAMS = {
+        'idleUp': ['Idle Up Speed', 'f * 0.5'],
+        'idleDown': ['Idle Down Speed', 'f * 0.5'],
+        'idleLeft': ['Idle Left Speed', 'f * 0.5'],
+        'idleRight': ['Idle Right Speed', 'f * 0.5'],
+        'walkUp': ['Walk Up Speed', 'f * 0.8'],
+        'walkDown': ['Walk Down Speed', 'f * 0.8'],
+        'walkLeft': ['Walk Left Speed', 'f * 0.8'],
+        'walkRight': ['Walk Right Speed', 'f * 0.8'],
+        'runUp': ['Run Up Speed', 'f * 1.0'],
+        'runDown': ['Run Down Speed', 'f * 1.0'],
+        'runLeft': ['Run Left Speed', 'f * 1.0'],
+        'runRight': ['Run Right Speed', 'f * 1.0']
+    };
+
+    // Order of cardinal fallbacks when a diagonal animation is missing
+    const DIAGONAL_FALLBACK = parameters['Diagonal Fallback'] === 'vertical' ? 'vertical' : 'horizontal';
+
+    // Flip the opposite side when a Left/Right animation is missing
+    const AUTO_MIRROR = parameters['Auto Mirror'] === 'true';
+
+    // Direction mapping: 2=down, 4=left, 6=right, 8=up (numpad layout for diagonals)
     const DIRECTION_NAMES = {
+        1: 'DownLeft',
         2: 'Down',
+        3: 'DownRight',
         4: 'Left',
         6: 'Right',
-        8: 'Up'
+        7: 'UpLeft',
+        8: 'Up',
+        9: 'UpRight'
     };
 
-    // Cache for loaded JSON data
-    const _jsonCache = {};
+    // ============================================================================
+    // Formula Evaluator
+    // ============================================================================
 
-    // Cache for parsed frame data
-    const _frameDataCache = {};
+    // Functions available in speed formulas, with their argument counts
+    // (prototype-less so names like "constructor" are unknown)
+    const FORMULA_FUNCTIONS = Object.assign(Object.create(null), {
+        min: { fn: Math.min, minArgs: 1, maxArgs: Infinity },
+        max: { fn: Math.max, minArgs: 1, maxArgs: Infinity },
+        abs: { fn: Math.abs, minArgs: 1, maxArgs: 1 },
+        floor: { fn: Math.floor, minArgs: 1, maxArgs: 1 },
+        ceil: { fn: Math.ceil, minArgs: 1, maxArgs: 1 },
+        round: { fn: Math.round, minArgs: 1, maxArgs: 1 },
+        sqrt: { fn: Math.sqrt, minArgs: 1, maxArgs: 1 },
+        pow: { fn: Math.pow, minArgs: 2, maxArgs: 2 },
+        sin: { fn: Math.sin, minArgs: 1, maxArgs: 1 },
+        cos: { fn: Math.cos, minArgs: 1, maxArgs: 1 },
+        clamp: { fn: (x, a, b) => Math.max(a, Math.min(b, x)), minArgs: 3, maxArgs: 3 }
+    });
+    const FORMULA_CONSTANTS = Object.assign(Object.create(null), { PI: Math.PI, E: Math.E });
+
+    // Variables a formula may read: frame count, move speed, dashing (1/0)
+    const FORMULA_VARIABLES = ['f', 'speed', 'dash'];
+
+    const FORMULA_TOKEN = /\s*(\d+\.?\d*|\.\d+|[A-Za-z_]\w*|\*\*|<=|>=|==|!=|&&|\|\||[-+*\/%^(),?:<>!])/y;
 
     /**
-     * Load JSON file for a character
+     * Split a formula into tokens
      */
-    function loadCharacterJSON(characterName) {
-        // Return cached data if available
-        if (_jsonCache[characterName] !== undefined) {
-            return _jsonCache[characterName];
+    function tokenizeFormula(source) {
+        const tokens = [];
+        FORMULA_TOKEN.lastIndex = 0;
+        while (FORMULA_TOKEN.lastIndex < source.length) {
+            if (/^\s*$/.test(source.slice(FORMULA_TOKEN.lastIndex))) break;
+            const start = FORMULA_TOKEN.lastIndex;
+            const match = FORMULA_TOKEN.exec(source);
+            if (!match) {
+                throw new Error('unexpected "' + source.slice(start).trim()[0] + '"');
+            }
+            tokens.push(match[1]);
         }
+        return tokens;
+    }
 
-        // Check if character name starts with $
-        if (!characterName || !characterName.startsWith('$')) {
-            _jsonCache[characterName] = null;
-            return null;
-        }
+    /**
+     * Compile an arithmetic formula into a function of { f, speed, dash }
+     * Supports + - * / % ^ (power), comparisons, && || !, a ? b : c,
+     * parentheses, the functions in FORMULA_FUNCTIONS and PI / E.
+     * No JavaScript is evaluated.
+     * @param {string} source - Formula text, e.g. "f * 0.5"
+     * @param {string} name - Where the formula comes from (for error messages)
+     * @returns {Function} Evaluator returning a number (0 if not finite)
+     */
+    function compileFormula(source, name) {
+        let tokens;
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const expect = token => {
+            if (next() !== token) {
+                throw new Error('expected "' + token + '"');
+            }
+        };
+        const binary = (parseOperand, operators) => () => {
+            let left = parseOperand();
+            while (Object.prototype.hasOwnProperty.call(operators, peek())) {
+                const op = operators[next()];
+                const a = left;
+                const b = parseOperand();
+                left = vars => op(a(vars), b(vars));
+            }
+            return left;
+        };
 
-        // Get JSON filename (replace .png with .json, or add .json)
-        const jsonName = characterName.replace(/\.png$/i, '') + '.json';
-        const jsonPath = 'img/characters/' + jsonName;
+        const parseTernary = () => {
+            const condition = parseOr();
+            if (peek() !== '?') return condition;
+            next();
+            const whenTrue = parseTernary();
+            expect(':');
+            const whenFalse = parseTernary();
+            return vars => (condition(vars) ? whenTrue(vars) : whenFalse(vars));
+        };
+        const parseUnary = () => {
+            if (peek() === '-') {
+                next();
+                const operand = parseUnary();
+                return vars => -operand(vars);
+            }
+            if (peek() === '+') {
+                next();
+                return parseUnary();
+            }
+            if (peek() === '!') {
+                next();
+                const operand = parseUnary();
+                return vars => (operand(vars) ? 0 : 1);
+            }
+            return parsePower();
+        };
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (peek() !== '^' && peek() !== '**') return base;
+            next();
+            const exponent = parseUnary(); // Right-associative
+            return vars => Math.pow(base(vars), exponent(vars));
+        };
+        const parseMultiplicative = binary(parseUnary, {
+            '*': (a, b) => a * b,
+            '/': (a, b) => a / b,
+            '%': (a, b) => a % b
+        });
+        const parseAdditive = binary(parseMultiplicative, {
+            '+': (a, b) => a + b,
+            '-': (a, b) => a - b
+        });
+        const parseComparison = binary(parseAdditive, {
+            '<': (a, b) => (a < b ? 1 : 0),
+            '>': (a, b) => (a > b ? 1 : 0),
+            '<=': (a, b) => (a <= b ? 1 : 0),
+            '>=': (a, b) => (a >= b ? 1 : 0)
+        });
+        const parseEquality = binary(parseComparison, {
+            '==': (a, b) => (a === b ? 1 : 0),
+            '!=': (a, b) => (a !== b ? 1 : 0)
+        });
+        const parseAnd = binary(parseEquality, { '&&': (a, b) => (a && b ? 1 : 0) });
+        const parseOr = binary(parseAnd, { '||': (a, b) => (a || b ? 1 : 0) });
+
+        function parsePrimary() {
+            const token = next();
+            if (token === undefined) {
+                throw new Error('unexpected end of formula');
+            }
+            if (token === '(') {
+                const inner = parseTernary();
+                expect(')');
+                return inner;
+            }
+            if (/^[\d.]/.test(token)) {
+                const value = Number(token);
+                return () => value;
+            }
+            if (/^[A-Za-z_]/.test(token)) {
+                if (FORMULA_FUNCTIONS[token]) {
+                    const { fn, minArgs, maxArgs } = FORMULA_FUNCTIONS[token];
+                    const args = [];
+                    expect('(');
+                    if (peek() !== ')') {
+                        args.push(parseTernary());
+                        while (peek() === ',') {
+                            next();
+                            args.push(parseTernary());
+                        }
+                    }
+                    expect(')');
+                    if (args.length < minArgs || args.length > maxArgs) {
+                        const count = (maxArgs === Infinity ? 'at least ' : '') + minArgs;
+                        throw new Error(token + '() takes ' + count + (minArgs === 1 ? ' argument' : ' arguments'));
+                    }
+                    return vars => fn(...args.map(arg => arg(vars)));
+                }
+                if (FORMULA_CONSTANTS[token] !== undefined) {
+                    const value = FORMULA_CONSTANTS[token];
+                    return () => value;
+                }
+                if (FORMULA_VARIABLES.includes(token)) {
+                    return vars => Number(vars[token]) || 0;
+                }
+                throw new Error('unknown name "' + token + '"');
+            }
+            throw new Error('unexpected "' + token + '"');
+        }
 
+        let evaluate;
         try {
-            // Try to load JSON synchronously
-            const xhr = new XMLHttpRequest();
-            xhr.open('GET', jsonPath, false);
-            xhr.overrideMimeType('application/json');
-            xhr.send(null);
-            
-            if (xhr.status === 200 || xhr.status === 0) {
-                const jsonData = JSON.parse(xhr.responseText);
-                _jsonCache[characterName] = jsonData;
-                return jsonData;
-            } else {
-                // Cache null to avoid repeated failed attempts
-                _jsonCache[characterName] = null;
+            tokens = tokenizeFormula(String(source));
+            evaluate = parseTernary();
+            if (pos < tokens.length) {
+                throw new Error('unexpected "' + tokens[pos] + '"');
             }
         } catch (e) {
-            _jsonCache[characterName] = null;
+            throw new Error('[KurtsAnimationPlugin] Invalid formula in "' + name + '": ' + source + ' (' + e.message + ')');
         }
 
-        return null;
+        return vars => {
+            const value = evaluate(vars);
+            return isFinite(value) ? value : 0;
+        };
+    }
+
+    // Speed modifiers compiled once at load (invalid formulas fail at boot)
+    const SPEED_MODIFIERS = {};
+    for (const animKey of Object.keys(SPEED_MODIFIER_PARAMS)) {
+        const [paramName, fallback] = SPEED_MODIFIER_PARAMS[animKey];
+        SPEED_MODIFIERS[animKey] = compileFormula(parameters[paramName] || fallback, paramName);
+    }
+
+    // ============================================================================
+    // Per-Character Configuration
+    // ============================================================================
+
+    // Plugin parameters, used when no notetag or JSON meta overrides a setting
+    const DEFAULT_CONFIG = {
+        speed: SPEED_MODIFIERS,
+        runThreshold: RUN_SPEED_THRESHOLD,
+        runHysteresis: RUN_HYSTERESIS,
+        walkStride: WALK_STRIDE,
+        runStride: RUN_STRIDE,
+        diagonalFallback: DIAGONAL_FALLBACK,
+        missing: 'first',
+        mirror: AUTO_MIRROR,
+        transitionInput: TRANSITION_INPUT
+    };
+
+    // Parsed <kurtAnim:...> notetags, keyed by note text
+    const _noteConfigCache = {};
+
+    /**
+     * Normalize a configuration from key/value pairs
+     * Keys: runThreshold, runHysteresis, walkStride, runStride (numbers),
+     * fallback (horizontal/vertical), missing (first/idle),
+     * mirror (true/false), transitionInput (cancel/buffer), json (true/false);
+     * any other key is a speed formula for an animation (walkLeft) or type (walk)
+     * @param {Object} values - Raw key/value pairs
+     * @param {string} source - Where the values come from (for warnings)
+     * @param {boolean} strict - Throw on an invalid formula instead of warning
+     */
+    function makeConfig(values, source, strict) {
+        const config = { speed: {} };
+        for (const key of Object.keys(values || {})) {
+            const value = values[key];
+            if (key === 'runThreshold') {
+                config.runThreshold = Number(value) || undefined;
+            } else if (key === 'runHysteresis' || key === 'walkStride' || key === 'runStride') {
+                const number = Number(value);
+                config[key] = isNaN(number) ? undefined : Math.max(0, number);
+            } else if (key === 'fallback') {
+                config.diagonalFallback = value === 'vertical' ? 'vertical' : 'horizontal';
+            } else if (key === 'missing') {
+                config.missing = value === 'idle' ? 'idle' : 'first';
+            } else if (key === 'json') {
+                config.json = value === true || value === 'true';
+            } else if (key === 'mirror') {
+                config.mirror = value === true || value === 'true';
+            } else if (key === 'transitionInput') {
+                config.transitionInput = value === 'buffer' ? 'buffer' : 'cancel';
+            } else {
+                try {
+                    config.speed[key] = compileFormula(value, source + ' ' + key);
+                } catch (e) {
+                    if (strict) throw e;
+                    console.warn(e.message);
+                }
+            }
+        }
+        return config;
     }
 
     /**
-     * Parse frame data from JSON
+     * Read the key/value pairs of <kurtAnim:key=value; key=value> tags in a note
      */
-    function parseFrameData(characterName) {
-        if (_frameDataCache[characterName]) {
-            return _frameDataCache[characterName];
+    function readNoteValues(note) {
+        const values = {};
+        const regExp = /<kurtAnim:([^>]*)>/gi;
+        let match;
+        while ((match = regExp.exec(note || ''))) {
+            for (const entry of match[1].split(/[;\n]/)) {
+                const index = entry.indexOf('=');
+                if (index > 0) {
+                    values[entry.slice(0, index).trim()] = entry.slice(index + 1).trim();
+                }
+            }
         }
+        return values;
+    }
 
-        const jsonData = loadCharacterJSON(characterName);
-        if (!jsonData || !jsonData.frames) {
+    /**
+     * Parse <kurtAnim:...> tags from a note
+     * Invalid formulas warn and fall back, like the JSON meta (see checkNoteFormulas)
+     * @param {string} note - Note text
+     * @param {string} [source] - Owner of the note (for warnings)
+     */
+    function parseNoteConfig(note, source) {
+        if (!note) {
             return null;
         }
+        if (_noteConfigCache[note] !== undefined) {
+            return _noteConfigCache[note];
+        }
 
-        const frameData = {
-            animations: {},
-            firstFrame: null
-        };
+        const values = readNoteValues(note);
+        const config = Object.keys(values).length > 0
+            ? makeConfig(values, (source ? source + ' ' : '') + '<kurtAnim>')
+            : null;
+        _noteConfigCache[note] = config;
+        return config;
+    }
 
-        // Get all frame names
-        const frameNames = Object.keys(jsonData.frames);
-        
-        // Find first frame (fallback)
-        if (frameNames.length > 0) {
-            const firstFrameName = frameNames[0];
-            frameData.firstFrame = jsonData.frames[firstFrameName];
-        }
-
-        // Parse animations: idle, walk, run in 4 directions
-        const directions = ['Up', 'Down', 'Left', 'Right'];
-        const animTypes = ['idle', 'walk', 'run'];
-
-        for (const animType of animTypes) {
-            for (const direction of directions) {
-                const animKey = animType + direction;
-                const frames = [];
-
-                // Find all frames for this animation (e.g., walkUp0, walkUp1, walkUp2...)
-                let frameIndex = 0;
-                while (true) {
-                    const frameName = animKey + frameIndex;
-                    if (jsonData.frames[frameName]) {
-                        frames.push({
-                            name: frameName,
-                            data: jsonData.frames[frameName]
-                        });
-                        frameIndex++;
-                    } else {
-                        break;
-                    }
+    /**
+     * Throw on an invalid formula in a note's <kurtAnim:...> tags
+     * @param {string} note - Note text
+     * @param {string} source - Owner of the note (for errors)
+     */
+    function checkNoteFormulas(note, source) {
+        const values = readNoteValues(note);
+        if (Object.keys(values).length > 0) {
+            makeConfig(values, source + ' <kurtAnim>', true);
+        }
+    }
+
+    /**
+     * Check the <kurtAnim> notes of a map's events (loads the map file)
+     * Errors are thrown from the load callback and shown by the error screen
+     */
+    function checkMapNoteFormulas(mapId) {
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', 'data/Map' + mapId.padZero(3) + '.json');
+        xhr.overrideMimeType('application/json');
+        xhr.onload = () => {
+            if (xhr.status >= 400 || !xhr.responseText.trim()) return;
+            const map = JSON.parse(xhr.responseText);
+            for (const event of map.events || []) {
+                if (event) {
+                    checkNoteFormulas(event.note, 'Map ' + mapId + ' event ' + event.id);
                 }
+            }
+        };
+        xhr.send();
+    }
 
-                if (frames.length > 0) {
-                    frameData.animations[animKey] = frames;
+    /**
+     * Check <kurtAnim> formulas at boot, like the speed parameters: actor
+     * notes always, and every map's event notes during test play
+     * (a deployed game warns about an event note when its map is set up)
+     */
+    const _Scene_Boot_start_notes = Scene_Boot.prototype.start;
+    Scene_Boot.prototype.start = function() {
+        _Scene_Boot_start_notes.call(this);
+        for (const actor of $dataActors) {
+            if (actor) {
+                checkNoteFormulas(actor.note, 'Actor ' + actor.id);
+            }
+        }
+        if (Utils.isOptionValid('test')) {
+            for (const info of $dataMapInfos) {
+                if (info) {
+                    checkMapNoteFormulas(info.id);
                 }
             }
         }
+    };
 
-        _frameDataCache[characterName] = frameData;
-        return frameData;
+    /**
+     * Get the animation type of an animation key (walkLeft -> walk)
+     */
+    function getAnimationTypeOfKey(animKey) {
+        return animKey.replace(/(UpLeft|UpRight|DownLeft|DownRight|Up|Down|Left|Right)$/, '');
     }
 
     /**
-     * Helper function to check if character is actively walking
-     * Uses movement intent (_movementSuccess) instead of just isMoving()
-     * to avoid false negatives between tiles
+     * Notes that may hold <kurtAnim:...> tags, highest priority first
+     * @returns {Array<string>}
      */
-    Game_CharacterBase.prototype.isActivelyWalking = function() {
-        return this.isMoving() || (this._movementSuccess !== undefined && this._movementSuccess);
+    Game_CharacterBase.prototype.animationConfigNotes = function() {
+        return [];
     };
 
-    /**
-     * Helper function to detect when character just stopped moving
-     * Used for idle transition - fires exactly once when movement ends
-     */
-    Game_CharacterBase.prototype.justStoppedMoving = function() {
-        return !this.isMoving() && this._stopCount === 1;
+    Game_Player.prototype.animationConfigNotes = function() {
+        const actor = $gameParty.leader();
+        return actor ? [actor.actor().note] : [];
+    };
+
+    Game_Follower.prototype.animationConfigNotes = function() {
+        const actor = this.actor();
+        return actor ? [actor.actor().note] : [];
     };
 
+    Game_Event.prototype.animationConfigNotes = function() {
+        const event = this.event();
+        return event ? [event.note] : [];
+    };
+
+    // Resolved configuration per character (kept out of save files)
+    // { noteLayers, base: { layers, values }, frameData, withData: { layers, values } }
+    const _characterConfigCache = new WeakMap();
+
     /**
-     * Get current animation type based on character state
+     * Get the resolved configuration of a character, highest priority first:
+     * notetags (event or actor), JSON meta.kurtAnim, plugin parameters
+     * Cached until the character's page, actor or image changes
+     * @returns {Object} { layers, values } - values memoizes resolved settings
      */
-    function getAnimationType(character) {
-        // If we've flagged that we should stay idle (until actually moving again)
-        if (character._forceIdleUntilMoving) {
-            // Only clear the flag when actually moving (not just _movementSuccess)
-            // Use isMoving() directly, not isActivelyWalking() which includes _movementSuccess
-            const isMoving = character.isMoving ? character.isMoving() : false;
-            if (isMoving) {
-                character._forceIdleUntilMoving = false;
-                // Now check movement type
-                const moveSpeed = character.realMoveSpeed ? character.realMoveSpeed() : 4;
-                if (moveSpeed >= RUN_SPEED_THRESHOLD) {
-                    return 'run';
+    function getCharacterConfig(character, frameData) {
+        let cached = _characterConfigCache.get(character);
+        if (!cached) {
+            const noteLayers = [];
+            for (const note of character.animationConfigNotes()) {
+                const config = parseNoteConfig(note);
+                if (config) {
+                    noteLayers.push(config);
                 }
-                return 'walk';
             }
-            // Still not moving, stay idle
-            return 'idle';
+            cached = {
+                noteLayers: noteLayers,
+                base: { layers: noteLayers.concat(DEFAULT_CONFIG), values: {} },
+                frameData: null,
+                withData: null
+            };
+            _characterConfigCache.set(character, cached);
         }
-        
-        // Check if character is actively walking (using intent, not just movement state)
-        const isWalking = character.isActivelyWalking ? character.isActivelyWalking() : false;
-        
-        if (!isWalking) {
-            return 'idle';
+        if (!frameData || !frameData.config) {
+            return cached.base;
         }
-        
-        // Check if running (move speed >= threshold)
-        // In RPG Maker, running typically has higher move speed
-        const moveSpeed = character.realMoveSpeed ? character.realMoveSpeed() : 4;
-        if (moveSpeed >= RUN_SPEED_THRESHOLD) {
-            return 'run';
+        if (cached.frameData !== frameData) {
+            cached.frameData = frameData;
+            cached.withData = {
+                layers: cached.noteLayers.concat(frameData.config, DEFAULT_CONFIG),
+                values: {}
+            };
         }
-        
-        return 'walk';
+        return cached.withData;
     }
 
     /**
-     * Get direction name from direction number
+     * Forget a character's resolved configuration
      */
-    function getDirectionName(direction) {
-        return DIRECTION_NAMES[direction] || 'Down';
+    function invalidateCharacterConfig(character) {
+        _characterConfigCache.delete(character);
     }
 
     /**
-     * Get current frame for character
+     * Get a setting for a character (runThreshold, diagonalFallback, missing,
+     * mirror, transitionInput, json)
      */
-    function getCurrentFrame(character, characterName) {
-        if (!character || !characterName) {
-            return null;
+    function getCharacterSetting(character, frameData, name) {
+        const config = getCharacterConfig(character, frameData);
+        if (!(name in config.values)) {
+            config.values[name] = undefined;
+            for (const layer of config.layers) {
+                if (layer[name] !== undefined) {
+                    config.values[name] = layer[name];
+                    break;
+                }
+            }
         }
+        return config.values[name];
+    }
 
-        const frameData = parseFrameData(characterName);
-        if (!frameData) {
-            return null;
+    /**
+     * Get the speed formula for an animation, checking the animation key
+     * before its type in each layer
+     */
+    function getSpeedFormula(character, frameData, animKey) {
+        const config = getCharacterConfig(character, frameData);
+        const cacheKey = 'speed:' + animKey;
+        if (!(cacheKey in config.values)) {
+            const animType = getAnimationTypeOfKey(animKey);
+            config.values[cacheKey] = null;
+            for (const layer of config.layers) {
+                const formula = layer.speed[animKey] || layer.speed[animType];
+                if (formula) {
+                    config.values[cacheKey] = formula;
+                    break;
+                }
+            }
         }
+        return config.values[cacheKey];
+    }
 
-        const animType = getAnimationType(character);
-        const direction = getDirectionName(character.direction());
-        const animKey = animType + direction;
+    /**
+     * Re-resolve the configuration when the image, page or actor changes
+     */
+    const _Game_CharacterBase_setImage = Game_CharacterBase.prototype.setImage;
+    Game_CharacterBase.prototype.setImage = function(characterName, characterIndex) {
+        invalidateCharacterConfig(this);
+        _Game_CharacterBase_setImage.call(this, characterName, characterIndex);
+    };
 
-        // Get animation frames
-        const animation = frameData.animations[animKey];
-        
-        // If animation doesn't exist, use first frame
-        if (!animation || animation.length === 0) {
-            return frameData.firstFrame;
-        }
+    const _Game_CharacterBase_setTileImage = Game_CharacterBase.prototype.setTileImage;
+    Game_CharacterBase.prototype.setTileImage = function(tileId) {
+        invalidateCharacterConfig(this);
+        _Game_CharacterBase_setTileImage.call(this, tileId);
+    };
 
-        // Switch to animation if changed (ensures pattern resets)
-        switchToAnimation(character, animKey, animation);
+    const _Game_Event_setupPage = Game_Event.prototype.setupPage;
+    Game_Event.prototype.setupPage = function() {
+        invalidateCharacterConfig(this);
+        _Game_Event_setupPage.call(this);
+    };
 
-        // Get current pattern (frame index)
-        // Initialize pattern if needed
-        if (character._pattern === undefined || character._pattern === null) {
-            character._pattern = 0;
-        }
-        
-        let pattern = character._pattern;
+    const _Game_Player_refresh = Game_Player.prototype.refresh;
+    Game_Player.prototype.refresh = function() {
+        invalidateCharacterConfig(this);
+        _Game_Player_refresh.call(this);
+    };
+
+    const _Game_Follower_refresh = Game_Follower.prototype.refresh;
+    Game_Follower.prototype.refresh = function() {
+        invalidateCharacterConfig(this);
+        _Game_Follower_refresh.call(this);
+    };
+
+    // Shared cache for atlas JSON, keyed by path: { state: 'loading'|'loaded'|'missing', data }
+    const _jsonCache = {};
+
+    // Atlas requests that take longer than this (ms) count as missing
+    const ATLAS_REQUEST_TIMEOUT = 10000;
+
+    // Cache for parsed frame data, keyed by JSON path
+    const _frameDataCache = {};
+
+    /**
+     * Check if a character image uses JSON frames by its name:
+     * $ sheets, names containing [anim], or every sheet with Detect JSON For All Sheets
+     */
+    function isJsonCharacterName(characterName) {
+        return !!characterName &&
+            (characterName.startsWith('$') || characterName.includes('[anim]') || JSON_ALL_SHEETS);
+    }
+
+    /**
+     * Check if a character uses JSON frames for an image
+     * A json=true/false notetag overrides the file name convention
+     */
+    function isJsonCharacter(character, characterName) {
+        if (!characterName) {
+            return false;
+        }
+        const noted = character ? getCharacterSetting(character, null, 'json') : undefined;
+        return noted !== undefined ? noted : isJsonCharacterName(characterName);
+    }
+
+    /**
+     * Get JSON path for a character image
+     */
+    function getCharacterJSONPath(characterName) {
+        if (!characterName) {
+            return null;
+        }
+
+        // Get JSON filename (replace .png with .json, or add .json)
+        const jsonName = characterName.replace(/\.png$/i, '') + '.json';
+        return 'img/characters/' + jsonName;
+    }
+
+    /**
+     * Start loading an atlas JSON asynchronously (once per path)
+     * @param {string} jsonPath - Path of the JSON file
+     * @returns {Object} Cache entry with state and data
+     */
+    function requestAtlasJSON(jsonPath) {
+        if (_jsonCache[jsonPath]) {
+            return _jsonCache[jsonPath];
+        }
+
+        const entry = { state: 'loading', data: null };
+        _jsonCache[jsonPath] = entry;
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', Utils.encodeURI(jsonPath));
+        xhr.overrideMimeType('application/json');
+        xhr.timeout = ATLAS_REQUEST_TIMEOUT;
+        xhr.onload = () => {
+            // NW.js reports a missing local file as status 0 with an empty body
+            if (xhr.status < 400 && xhr.responseText.trim()) {
+                try {
+                    entry.data = JSON.parse(xhr.responseText);
+                    entry.state = 'loaded';
+                    return;
+                } catch (e) {
+                    console.warn('[KurtsAnimationPlugin] Invalid JSON:', jsonPath, e.message);
+                }
+            }
+            // Missing files mean the character doesn't use JSON frames
+            entry.state = 'missing';
+        };
+        // A stalled or aborted request must not keep the scene waiting
+        xhr.onerror = xhr.ontimeout = xhr.onabort = () => {
+            entry.state = 'missing';
+        };
+        xhr.send();
+        return entry;
+    }
+
+    /**
+     * Check if all requested atlas JSON files have finished loading
+     */
+    function isAtlasCacheReady() {
+        return Object.keys(_jsonCache).every(path => _jsonCache[path].state !== 'loading');
+    }
+
+    /**
+     * Get path of the frame event sidecar file for an atlas
+     */
+    function getFrameEventsPath(jsonPath) {
+        return jsonPath.replace(/\.json$/i, '.events.json');
+    }
+
+    /**
+     * Start loading a character's JSON (and frame event file, if enabled)
+     * @returns {Array<Object>} Cache entries that are needed
+     */
+    function requestCharacterJSON(characterName) {
+        const jsonPath = getCharacterJSONPath(characterName);
+        if (!jsonPath) {
+            return [];
+        }
+        const entries = [requestAtlasJSON(jsonPath)];
+        if (FRAME_EVENT_FILES) {
+            entries.push(requestAtlasJSON(getFrameEventsPath(jsonPath)));
+        }
+        return entries;
+    }
+
+    /**
+     * Get loaded JSON for a character
+     * Returns null while loading (and starts the load if needed) or if missing
+     */
+    function loadCharacterJSON(characterName) {
+        const entries = requestCharacterJSON(characterName);
+        if (entries.length === 0 || entries.some(entry => entry.state === 'loading')) {
+            return null;
+        }
+        return entries[0].data;
+    }
+
+    /**
+     * Get loaded frame event file for a character (null if disabled or missing)
+     */
+    function loadFrameEventsJSON(characterName) {
+        const jsonPath = getCharacterJSONPath(characterName);
+        if (!jsonPath || !FRAME_EVENT_FILES) {
+            return null;
+        }
+        return requestAtlasJSON(getFrameEventsPath(jsonPath)).data;
+    }
+
+    /**
+     * Check if a character's JSON is still loading
+     */
+    function isCharacterJSONLoading(characterName) {
+        return requestCharacterJSON(characterName).some(entry => entry.state === 'loading');
+    }
+
+    /**
+     * Get frame duration in ms (falls back to the base duration)
+     */
+    function getFrameDuration(frame) {
+        const duration = Number(frame && frame.duration);
+        return duration > 0 ? duration : BASE_FRAME_DURATION;
+    }
+
+    /**
+     * Get per-frame pivots (source-box pixels) from Aseprite slices
+     * Uses the slice named "pivot", or the first slice that has a pivot.
+     * A slice key applies from its frame index until the next key.
+     */
+    function getSlicePivots(jsonData, frameList) {
+        const slices = (jsonData.meta && jsonData.meta.slices) || [];
+        const slice = slices.find(s => s && s.name === 'pivot' && s.keys) ||
+            slices.find(s => s && s.keys && s.keys.some(key => key.pivot));
+        const pivots = {};
+        if (!slice) {
+            return pivots;
+        }
+
+        const keys = slice.keys
+            .filter(key => key.pivot && key.bounds)
+            .sort((a, b) => (a.frame || 0) - (b.frame || 0));
+        frameList.forEach((frame, index) => {
+            let activeKey = null;
+            for (const key of keys) {
+                if ((key.frame || 0) <= index) {
+                    activeKey = key;
+                }
+            }
+            if (activeKey) {
+                pivots[frame.name] = {
+                    x: activeKey.bounds.x + activeKey.pivot.x,
+                    y: activeKey.bounds.y + activeKey.pivot.y
+                };
+            }
+        });
+        return pivots;
+    }
+
+    /**
+     * Get ordered frame list from JSON (supports hash and array exports)
+     */
+    function getFrameList(jsonData) {
+        if (Array.isArray(jsonData.frames)) {
+            return jsonData.frames.map((frame, index) => ({
+                name: frame.filename !== undefined ? String(frame.filename) : String(index),
+                data: frame
+            }));
+        }
+        return Object.keys(jsonData.frames).map(name => ({
+            name: name,
+            data: jsonData.frames[name]
+        }));
+    }
+
+    /**
+     * Build frame entry used by animations
+     */
+    function makeFrameEntry(name, data, pivot) {
+        return {
+            name: name,
+            data: data,
+            duration: getFrameDuration(data),
+            layout: getFrameLayout(data, pivot)
+        };
+    }
+
+    /**
+     * Compute where a frame is drawn relative to the character's feet
+     * Trimmed frames are offset back into their source box, rotated atlas
+     * frames are drawn upright, and the anchor follows the pivot
+     * (default: bottom center of the source box)
+     * @param {Object} data - Frame data from the JSON
+     * @param {Object} [pivot] - Pivot in source-box pixels (from slices)
+     */
+    function getFrameLayout(data, pivot) {
+        const rect = data.frame || { x: 0, y: 0, w: 0, h: 0 };
+        const width = rect.w;
+        const height = rect.h;
+        const source = data.sourceSize || { w: width, h: height };
+        const offset = data.spriteSourceSize || { x: 0, y: 0 };
+
+        // TexturePacker-style normalized pivot on the frame itself
+        if (!pivot && data.pivot) {
+            pivot = { x: data.pivot.x * source.w, y: data.pivot.y * source.h };
+        }
+        if (!pivot) {
+            pivot = { x: source.w / 2, y: source.h };
+        }
+
+        return {
+            x: rect.x,
+            y: rect.y,
+            width: width,
+            height: height,
+            rotated: !!data.rotated,
+            anchorX: width > 0 ? (pivot.x - offset.x) / width : 0.5,
+            anchorY: height > 0 ? (pivot.y - offset.y) / height : 1,
+            // Local y of the frame's bottom edge (0 = feet for untrimmed frames)
+            bottom: offset.y + height - pivot.y
+        };
+    }
+
+    /**
+     * Build animation frames from a frame tag (from, to, direction)
+     */
+    function parseFrameTag(tag, frameList, pivots) {
+        const from = Math.max(0, Number(tag.from) || 0);
+        const to = Math.min(frameList.length - 1, Number(tag.to));
+        if (isNaN(to) || to < from) {
+            return [];
+        }
+
+        const frames = frameList.slice(from, to + 1).map(f => makeFrameEntry(f.name, f.data, pivots[f.name]));
+        const direction = String(tag.direction || 'forward').toLowerCase();
+
+        if (direction === 'reverse') {
+            return frames.reverse();
+        }
+        if (direction === 'pingpong' || direction === 'pingpong_reverse') {
+            // Play through, then back without repeating the end frames
+            const sequence = direction === 'pingpong' ? frames : frames.reverse();
+            return sequence.concat(sequence.slice(1, -1).reverse());
+        }
+        return frames;
+    }
+
+    /**
+     * Parse a frame event from an object or a shorthand string
+     * Shorthands: se:Name:volume:pitch, commonEvent:id, animation:id, script:code
+     * @returns {Object|null} Normalized event
+     */
+    function parseFrameEvent(spec, source) {
+        if (typeof spec === 'string') {
+            const parts = spec.split(':');
+            const type = parts.shift();
+            if (type === 'script') {
+                spec = { type: type, script: parts.join(':') };
+            } else if (type === 'se') {
+                spec = { type: type, name: parts[0], volume: parts[1], pitch: parts[2] };
+            } else {
+                spec = { type: type, id: parts[0] };
+            }
+        }
+        if (!spec || !spec.type) {
+            return null;
+        }
+
+        switch (spec.type) {
+            case 'se':
+                return {
+                    type: 'se',
+                    name: String(spec.name || ''),
+                    volume: spec.volume !== undefined ? Number(spec.volume) : 90,
+                    pitch: spec.pitch !== undefined ? Number(spec.pitch) : 100,
+                    pan: Number(spec.pan) || 0
+                };
+            case 'commonEvent':
+            case 'animation':
+                return { type: spec.type, id: Number(spec.id) || 0 };
+            case 'script':
+                try {
+                    return { type: 'script', callback: new Function('character', spec.script) };
+                } catch (e) {
+                    console.warn('[KurtsAnimationPlugin] Invalid frame event script in', source, e.message);
+                    return null;
+                }
+            default:
+                console.warn('[KurtsAnimationPlugin] Unknown frame event type in', source, spec.type);
+                return null;
+        }
+    }
+
+    /**
+     * Add frame events declared as { "walkDown1": [events], "pickUpDown:last": [events] }
+     * Keys are frame names, or animKey:index (index may be "last")
+     */
+    function addFrameEvents(target, declarations, source) {
+        if (!declarations) return;
+        for (const key of Object.keys(declarations)) {
+            const specs = Array.isArray(declarations[key]) ? declarations[key] : [declarations[key]];
+            for (const spec of specs) {
+                const event = parseFrameEvent(spec, source);
+                if (event) {
+                    target[key] = target[key] || [];
+                    target[key].push(event);
+                }
+            }
+        }
+    }
+
+    /**
+     * Parse frame data from a character's JSON
+     */
+    function parseFrameData(characterName, characterIndex) {
+        const jsonPath = getCharacterJSONPath(characterName);
+        if (!jsonPath) {
+            return null;
+        }
+        const cacheKey = jsonPath + '#' + (characterIndex || 0);
+        if (_frameDataCache[cacheKey]) {
+            return _frameDataCache[cacheKey];
+        }
+
+        const jsonData = loadCharacterJSON(characterName);
+        if (!jsonData || !jsonData.frames) {
+            return null;
+        }
+
+        const frameData = buildFrameData(jsonPath, jsonData, loadFrameEventsJSON(characterName), characterIndex);
+        _frameDataCache[cacheKey] = frameData;
+        return frameData;
+    }
+
+    /**
+     * Build frame data from loaded atlas JSON
+     * Animations defined by meta.frameTags take priority over the
+     * name-suffix scheme (walkUp0, walkUp1...)
+     * @param {string} jsonPath - Path of the JSON (for warnings)
+     * @param {Object} jsonData - Atlas JSON
+     * @param {Object|null} eventsData - Frame event sidecar file
+     * @param {number} characterIndex - Character index on the sheet
+     */
+    function buildFrameData(jsonPath, jsonData, eventsData, characterIndex) {
+        const frameData = {
+            animations: {},
+            firstFrame: null,
+            indexed: false
+        };
+
+        // Get all frames in export order
+        const allFrames = getFrameList(jsonData);
+        const allPivots = getSlicePivots(jsonData, allFrames);
+        let frameList = allFrames;
+        let pivots = allPivots;
+
+        // Multi-character sheets may prefix frames with the character index
+        // (0/walkDown0, 1/walkDown0...); otherwise frames are relative to the
+        // character's block of the sheet
+        const prefix = (characterIndex || 0) + '/';
+        if (allFrames.some(frame => /^\d+\//.test(frame.name))) {
+            frameData.indexed = true;
+            frameList = allFrames
+                .filter(frame => frame.name.startsWith(prefix))
+                .map(frame => ({ name: frame.name.slice(prefix.length), data: frame.data }));
+            pivots = {};
+            for (const frame of frameList) {
+                pivots[frame.name] = allPivots[prefix + frame.name];
+            }
+        }
+
+        const framesByName = {};
+        for (const frame of frameList) {
+            framesByName[frame.name] = frame.data;
+        }
         
-        // Ensure pattern is within bounds of current animation
-        if (pattern < 0) {
-            pattern = 0;
-            character._pattern = 0;
-        } else if (pattern >= animation.length) {
-            pattern = pattern % animation.length;
-            character._pattern = pattern;
+        // Find first frame (fallback)
+        if (frameList.length > 0) {
+            const first = frameList[0];
+            frameData.firstFrame = makeFrameEntry(first.name, first.data, pivots[first.name]);
+        }
+
+        // Parse animations from frame tags
+        const frameTags = (jsonData.meta && jsonData.meta.frameTags) || [];
+        for (const tag of frameTags) {
+            if (!tag || !tag.name) continue;
+            // Tags of multi-character sheets are prefixed too (2/walkDown)
+            if (frameData.indexed && !tag.name.startsWith(prefix)) continue;
+            const frames = parseFrameTag(tag, allFrames, allPivots);
+            if (frames.length > 0) {
+                frameData.animations[frameData.indexed ? tag.name.slice(prefix.length) : tag.name] = frames;
+            }
+        }
+
+        // Parse animations from frame names (e.g., walkUp0, walkUp1, pickUpDown0...)
+        // Frames without an index (e.g., sitLeft) become single-frame animations
+        const animKeys = [];
+        for (const frame of frameList) {
+            const match = frame.name.match(/^(.*?)(\d+)$/);
+            const animKey = match ? match[1] : frame.name;
+            if (animKey && !animKeys.includes(animKey)) {
+                animKeys.push(animKey);
+            }
+        }
+
+        for (const animKey of animKeys) {
+            if (frameData.animations[animKey]) continue; // Defined by a frame tag
+            const frames = [];
+
+            // Find all frames for this animation (e.g., walkUp0, walkUp1, walkUp2...)
+            let frameIndex = 0;
+            while (true) {
+                const frameName = animKey + frameIndex;
+                if (framesByName[frameName]) {
+                    frames.push(makeFrameEntry(frameName, framesByName[frameName], pivots[frameName]));
+                    frameIndex++;
+                } else {
+                    break;
+                }
+            }
+
+            if (frames.length === 0 && framesByName[animKey]) {
+                frames.push(makeFrameEntry(animKey, framesByName[animKey], pivots[animKey]));
+            }
+
+            if (frames.length > 0) {
+                frameData.animations[animKey] = frames;
+            }
+        }
+
+        // Per-character configuration from the atlas meta
+        frameData.config = jsonData.meta && jsonData.meta.kurtAnim
+            ? makeConfig(jsonData.meta.kurtAnim, jsonPath)
+            : null;
+
+        // Frame events from the atlas meta and the sidecar file
+        frameData.frameEvents = {};
+        addFrameEvents(frameData.frameEvents, jsonData.meta && jsonData.meta.frameEvents, jsonPath);
+        addFrameEvents(frameData.frameEvents, eventsData, jsonPath);
+
+        // Missing Left/Right sets mirrored from the opposite side (Auto Mirror)
+        frameData.mirroredAnimations = Object.assign(getMirroredAnimations(frameData.animations), frameData.animations);
+
+        return frameData;
+    }
+
+    /**
+     * Swap Left and Right in an animation key (walkLeft -> walkRight)
+     */
+    function swapSides(animKey) {
+        return animKey.replace(/Left|Right/g, side => side === 'Left' ? 'Right' : 'Left');
+    }
+
+    /**
+     * Build flipped copies of Left/Right animations whose opposite side is missing
+     * (walkRight -> walkLeft, turnLeftToRight -> turnRightToLeft)
+     */
+    function getMirroredAnimations(animations) {
+        const mirrored = {};
+        for (const animKey of Object.keys(animations)) {
+            const mirrorKey = swapSides(animKey);
+            if (mirrorKey !== animKey && !animations[mirrorKey]) {
+                mirrored[mirrorKey] = animations[animKey].map(entry => Object.assign({}, entry, { mirror: true }));
+            }
+        }
+        return mirrored;
+    }
+
+    /**
+     * Get the animations available to a character, including mirrored
+     * Left/Right sets when Auto Mirror is on for it
+     */
+    function getAnimations(character, frameData) {
+        return getCharacterSetting(character, frameData, 'mirror') ? frameData.mirroredAnimations : frameData.animations;
+    }
+
+    /**
+     * Helper function to check if character is actively walking
+     * Uses movement intent (_movementSuccess) instead of just isMoving()
+     * to avoid false negatives between tiles
+     */
+    Game_CharacterBase.prototype.isActivelyWalking = function() {
+        return this.isMoving() || (this._movementSuccess !== undefined && this._movementSuccess);
+    };
+
+    /**
+     * Helper function to detect when character just stopped moving
+     * Used for idle transition - fires exactly once when movement ends
+     */
+    Game_CharacterBase.prototype.justStoppedMoving = function() {
+        return !this.isMoving() && this._stopCount === 1;
+    };
+
+    /**
+     * Get the movement type (walk or run) from the character's move speed
+     * Running starts at the run threshold and stops below it minus the
+     * hysteresis, so speeds hovering around the threshold don't flicker
+     */
+    function getMovementType(character, frameData) {
+        const runThreshold = getCharacterSetting(character, frameData, 'runThreshold');
+        const hysteresis = getCharacterSetting(character, frameData, 'runHysteresis');
+        // In RPG Maker, running typically has higher move speed
+        const moveSpeed = character.realMoveSpeed ? character.realMoveSpeed() : 4;
+        const running = character._runAnimation
+            ? moveSpeed > runThreshold - hysteresis
+            : moveSpeed >= runThreshold;
+        character._runAnimation = running;
+        return running ? 'run' : 'walk';
+    }
+
+    /**
+     * Get current animation type based on character state
+     */
+    function getAnimationType(character, frameData) {
+        // If we've flagged that we should stay idle (until actually moving again)
+        if (character._forceIdleUntilMoving) {
+            // Only clear the flag when actually moving (not just _movementSuccess)
+            // Use isMoving() directly, not isActivelyWalking() which includes _movementSuccess
+            const isMoving = character.isMoving ? character.isMoving() : false;
+            if (isMoving) {
+                character._forceIdleUntilMoving = false;
+                // Now check movement type
+                return getMovementType(character, frameData);
+            }
+            // Still not moving, stay idle
+            return 'idle';
         }
         
-        const frameIndex = Math.min(Math.max(0, pattern), animation.length - 1);
+        // Check if character is actively walking (using intent, not just movement state)
+        const isWalking = character.isActivelyWalking ? character.isActivelyWalking() : false;
+        
+        if (!isWalking) {
+            return 'idle';
+        }
         
-        return animation[frameIndex].data;
+        // Check if running (move speed >= threshold)
+        return getMovementType(character, frameData);
+    }
+
+    /**
+     * Get direction name from direction number
+     */
+    function getDirectionName(direction) {
+        return DIRECTION_NAMES[direction] || 'Down';
+    }
+
+    /**
+     * Check if direction is diagonal (1, 3, 7, 9)
+     */
+    function isDiagonalDirection(direction) {
+        return direction === 1 || direction === 3 || direction === 7 || direction === 9;
+    }
+
+    /**
+     * Get horizontal (4/6) and vertical (2/8) parts of a diagonal direction
+     */
+    function splitDiagonal(direction) {
+        return {
+            horz: direction === 1 || direction === 7 ? 4 : 6,
+            vert: direction === 1 || direction === 3 ? 2 : 8
+        };
+    }
+
+    /**
+     * Get directions to try for a character, most specific first
+     * Diagonal facing falls back to its cardinal parts in the configured order
+     */
+    function getDirectionCandidates(character, frameData) {
+        const direction = character.direction();
+        const diagonal = isDiagonalDirection(direction) ? direction : character._diagonalDirection;
+        if (!isDiagonalDirection(diagonal)) {
+            return [direction];
+        }
+        const parts = splitDiagonal(diagonal);
+        return getCharacterSetting(character, frameData, 'diagonalFallback') === 'vertical'
+            ? [diagonal, parts.vert, parts.horz]
+            : [diagonal, parts.horz, parts.vert];
+    }
+
+    /**
+     * Resolve type + direction to an existing animation key
+     * Returns the most specific key when none exist (missing animation)
+     */
+    function resolveDirectionalKey(frameData, animType, character, suffix) {
+        const animations = getAnimations(character, frameData);
+        const candidates = getDirectionCandidates(character, frameData).map(d => animType + getDirectionName(d) + (suffix || ''));
+        return candidates.find(key => animations[key]) || candidates[0];
+    }
+
+    /**
+     * Resolve a custom animation name to an animation key in the frame data
+     * Tries the name with the facing direction first (wave -> waveLeft),
+     * then the name as written (sitLeft)
+     */
+    function resolveCustomAnimationKey(frameData, name, character) {
+        if (!frameData || !name) {
+            return null;
+        }
+        const directionalKey = resolveDirectionalKey(frameData, name, character);
+        if (getAnimations(character, frameData)[directionalKey]) {
+            return directionalKey;
+        }
+        return getAnimations(character, frameData)[name] ? name : null;
+    }
+
+    /**
+     * Get current animation key (custom animation, or type + direction)
+     */
+    function getAnimationKey(character, frameData) {
+        const custom = character._customAnimation;
+        if (custom) {
+            const customKey = resolveCustomAnimationKey(frameData, custom.name, character);
+            if (customKey) {
+                return customKey;
+            }
+            // Animation not in this sheet, drop it so waiting events continue
+            character.stopCustomAnimation();
+        }
+        const transition = character._transition;
+        if (transition) {
+            if (getAnimations(character, frameData)[transition.key]) {
+                return transition.key;
+            }
+            character.cancelTransition();
+        }
+        const animType = getAnimationType(character, frameData);
+        const animKey = resolveDirectionalKey(frameData, animType, character);
+
+        // Animation set (swimDown, climbUp) for the current terrain, region, switch or state
+        if (character._animationSet) {
+            const setKey = resolveAnimationSetKey(frameData, character._animationSet, animType, character);
+            if (setKey) {
+                return setKey;
+            }
+        }
+
+        // Idle variant (idleDownFidget) while standing still
+        if (character._idleVariant && animType === 'idle') {
+            const variantKey = resolveDirectionalKey(frameData, 'idle', character, character._idleVariant);
+            if (getAnimations(character, frameData)[variantKey]) {
+                return variantKey;
+            }
+            character.cancelIdleVariant();
+        }
+
+        // Optionally show idle instead of the first frame when an animation is missing
+        if (!getAnimations(character, frameData)[animKey] && animType !== 'idle' &&
+            getCharacterSetting(character, frameData, 'missing') === 'idle') {
+            return resolveDirectionalKey(frameData, 'idle', character);
+        }
+        return animKey;
+    }
+
+    /**
+     * Get current frame for character
+     */
+    function getCurrentFrame(character, characterName) {
+        if (!character || !characterName) {
+            return null;
+        }
+
+        const frameData = parseFrameData(characterName, character.characterIndex());
+        if (!frameData) {
+            return null;
+        }
+
+        const animKey = getAnimationKey(character, frameData);
+
+        // Get animation frames
+        const animation = getAnimations(character, frameData)[animKey];
+        
+        // If animation doesn't exist, use first frame
+        if (!animation || animation.length === 0) {
+            return frameData.firstFrame;
+        }
+
+        // Switch to animation if changed (ensures pattern resets)
+        switchToAnimation(character, animKey, animation, frameData);
+
+        // Get current pattern (frame index)
+        // Initialize pattern if needed
+        if (character._pattern === undefined || character._pattern === null) {
+            character._pattern = 0;
+        }
+        
+        let pattern = character._pattern;
+        
+        // Ensure pattern is within bounds of current animation
+        if (pattern < 0) {
+            pattern = 0;
+            character._pattern = 0;
+        } else if (pattern >= animation.length) {
+            pattern = pattern % animation.length;
+            character._pattern = pattern;
+        }
+        
+        const frameIndex = Math.min(Math.max(0, pattern), animation.length - 1);
+        
+        return animation[frameIndex];
+    }
+
+    /**
+     * Override Sprite_Character.setCharacterBitmap
+     */
+    const _Sprite_Character_setCharacterBitmap = Sprite_Character.prototype.setCharacterBitmap;
+    Sprite_Character.prototype.setCharacterBitmap = function() {
+        _Sprite_Character_setCharacterBitmap.call(this);
+        
+        // Check if this character uses JSON frames
+        if (isJsonCharacter(this._character, this._characterName)) {
+            this._usesJsonFrames = true;
+            this._jsonFrameData = parseFrameData(this._characterName, this._characterIndex);
+        } else {
+            this._usesJsonFrames = false;
+            this._jsonFrameData = null;
+            this.resetJsonFrameLayout();
+        }
+    };
+
+    /**
+     * Restore the default anchor and texture rotation
+     */
+    Sprite_Character.prototype.resetJsonFrameLayout = function() {
+        this.anchor.x = 0.5;
+        this.anchor.y = 1;
+        this._jsonMirror = false;
+        if (this.texture && this.texture.rotate) {
+            this.texture.rotate = 0;
+            this._refresh();
+        }
+        if (this._upperBody) {
+            this._upperBody.anchor.x = 0.5;
+            this._lowerBody.anchor.x = 0.5;
+            this._lowerBody.y = 0;
+        }
+    };
+
+    /**
+     * Apply a frame layout (atlas rect, rotation, pivot anchor) to the sprite
+     * @param {Object} layout - Layout from getFrameLayout
+     */
+    Sprite_Character.prototype.setJsonFrame = function(layout) {
+        const texture = this.texture;
+        const rotate = layout.rotated ? 2 : 0; // PIXI.groupD8 rotation used by TexturePacker
+        const rotateChanged = texture && texture.rotate !== rotate;
+        if (rotateChanged) {
+            texture.rotate = rotate;
+        }
+
+        // Rotated frames occupy a w/h-swapped region of the atlas
+        if (layout.rotated) {
+            this.setFrame(layout.x, layout.y, layout.height, layout.width);
+        } else {
+            this.setFrame(layout.x, layout.y, layout.width, layout.height);
+        }
+        if (rotateChanged) {
+            this._refresh(); // setFrame skips unchanged rects
+        }
+        if (layout.rotated && texture) {
+            texture.orig = new Rectangle(0, 0, layout.width, layout.height);
+            texture.updateUvs();
+        }
+
+        this.anchor.x = layout.anchorX;
+        this.anchor.y = layout.anchorY;
+    };
+
+    /**
+     * Offset a frame layout into the character's block of a multi-character
+     * sheet (frames are relative to the block unless prefixed by index)
+     */
+    Sprite_Character.prototype.offsetJsonLayout = function(layout) {
+        if (this._isBigCharacter || this._jsonFrameData.indexed) {
+            return layout;
+        }
+        const blockX = this.characterBlockX() * this.patternWidth();
+        const blockY = this.characterBlockY() * this.patternHeight();
+        if (blockX === 0 && blockY === 0) {
+            return layout;
+        }
+        return Object.assign({}, layout, { x: layout.x + blockX, y: layout.y + blockY });
+    };
+
+    /**
+     * Flip mirrored frames through scale.x right before rendering, after
+     * every update (perspective scaling sets scale.x each frame)
+     */
+    const _Sprite_Character_updateTransform = Sprite_Character.prototype.updateTransform;
+    Sprite_Character.prototype.updateTransform = function() {
+        if (this._jsonMirror || this._jsonMirrorApplied) {
+            const scaleX = Math.abs(this.scale.x);
+            this.scale.x = this._jsonMirror ? -scaleX : scaleX;
+            this._jsonMirrorApplied = this._jsonMirror;
+        }
+        _Sprite_Character_updateTransform.call(this);
+    };
+
+    /**
+     * Override Sprite_Character.updateCharacterFrame
+     */
+    const _Sprite_Character_updateCharacterFrame = Sprite_Character.prototype.updateCharacterFrame;
+    Sprite_Character.prototype.updateCharacterFrame = function() {
+        // JSON may finish loading after the bitmap was set (image changed mid-map)
+        if (this._usesJsonFrames && !this._jsonFrameData) {
+            this._jsonFrameData = parseFrameData(this._characterName, this._characterIndex);
+            if (!this._jsonFrameData && isCharacterJSONLoading(this._characterName)) {
+                // Draw nothing rather than the whole sheet until frames are known
+                this.setFrame(0, 0, 0, 0);
+                return;
+            }
+        }
+
+        if (this._usesJsonFrames && this._jsonFrameData) {
+            const frame = getCurrentFrame(this._character, this._characterName);
+            
+            if (frame && frame.data.frame) {
+                // Use frame coordinates from JSON
+                const layout = this.offsetJsonLayout(frame.layout);
+                this._jsonMirror = !!frame.mirror;
+                const sx = layout.x;
+                const sy = layout.y;
+                const pw = layout.width;
+                const ph = layout.height;
+                
+                this.updateHalfBodySprites();
+                // Layers behind the body need the body drawn as half body children
+                const splitBody = this._bushDepth > 0 || this.hasAnimationLayersBehind();
+                // Rotated frames can't be split into half bodies, draw them whole
+                if (splitBody && !layout.rotated) {
+                    if (this._bushDepth <= 0) {
+                        this.showBodyAsHalfBodies();
+                    }
+                    // Bush depth is measured from the feet, not the trimmed frame
+                    const d = this._bushDepth > 0 ? Math.max(0, Math.min(ph, this._bushDepth + layout.bottom)) : 0;
+                    this._upperBody.setFrame(sx, sy, pw, ph - d);
+                    this._lowerBody.setFrame(sx, sy + ph - d, pw, d);
+                    this._upperBody.anchor.x = layout.anchorX;
+                    this._lowerBody.anchor.x = layout.anchorX;
+                    this._upperBody.y = layout.bottom - d;
+                    this._lowerBody.y = layout.bottom;
+                    this.setJsonFrame(Object.assign({}, layout, { width: 0 }));
+                } else {
+                    if (this._upperBody) {
+                        this._upperBody.visible = false;
+                        this._lowerBody.visible = false;
+                    }
+                    this.setJsonFrame(layout);
+                }
+                this.updateAnimationLayers(frame);
+            } else {
+                // Fallback to default behavior
+                this.resetJsonFrameLayout();
+                _Sprite_Character_updateCharacterFrame.call(this);
+                this.updateAnimationLayers(null);
+            }
+        } else {
+            // Default behavior for non-JSON characters
+            _Sprite_Character_updateCharacterFrame.call(this);
+            this.updateAnimationLayers(null);
+        }
+    };
+    
+
+    /**
+     * Store last animation key to detect animation changes
+     */
+    Game_CharacterBase.prototype._lastJsonAnimKey = null;
+
+    /**
+     * Helper function to switch to a new animation
+     * Resets pattern and updates all tracking variables
+     */
+    function switchToAnimation(character, animKey, animation, frameData) {
+        if (character._lastJsonAnimKey !== animKey) {
+            // Animation changed - reset everything
+            character._pattern = 0;
+            character._animationCount = 0; // First frame gets its full duration
+            character._lastJsonAnimKey = animKey;
+            character._frameEventKey = null; // A restarted animation fires its events again
+
+            // A restored custom animation resumes on its saved frame
+            if (typeof character._resumeFrame === 'number' && animation && animation.length > 0) {
+                character._pattern = Math.min(character._resumeFrame, animation.length - 1);
+                character._frameEventKey = animKey + ':' + character._pattern; // Don't fire it again
+            }
+            character._resumeFrame = null;
+            
+            if (animation && animation.length > 0) {
+                character._jsonFrameCount = animation.length;
+                character._jsonAnimKey = animKey;
+                
+                // Calculate speed modifier
+                const modifier = getSpeedFormula(character, frameData, animKey);
+                if (modifier) {
+                    character._jsonPatSpd = modifier({
+                        f: animation.length,
+                        speed: character.realMoveSpeed(),
+                        dash: character.isDashing() ? 1 : 0
+                    });
+                } else {
+                    character._jsonPatSpd = 0;
+                }
+            }
+        }
+    }
+
+    /**
+     * Override Game_CharacterBase.updatePattern to handle variable frame counts
+     * Following GALV's approach: handle moving animations, let default handle stopped
+     */
+    const _Game_CharacterBase_updatePattern = Game_CharacterBase.prototype.updatePattern;
+    Game_CharacterBase.prototype.updatePattern = function() {
+        // Check if character uses JSON frames
+        let characterName = null;
+        try {
+            characterName = this.characterName ? this.characterName() : null;
+        } catch (e) {
+            // characterName() might not exist in all contexts
+        }
+        
+        if (isJsonCharacter(this, characterName)) {
+            const frameData = parseFrameData(characterName, this.characterIndex());
+            
+            if (frameData) {
+                // Get current animation type and direction
+                const animKey = getAnimationKey(this, frameData);
+                let animType = this._customAnimation ? 'custom' : this._transition ? 'transition' : getAnimationType(this, frameData);
+                if (animType === 'idle' && this._idleVariant) {
+                    animType = 'idleVariant';
+                } else if (animType === 'idle' && this._animationSet && animKey.startsWith(this._animationSet + 'Idle')) {
+                    animType = 'setIdle'; // Set idles (swimIdleDown) loop like walk cycles
+                }
+                const animation = getAnimations(this, frameData)[animKey];
+                
+                if (animation && animation.length > 0) {
+                    // Switch to animation (resets pattern if animation changed)
+                    switchToAnimation(this, animKey, animation, frameData);
+                    
+                    // Ensure pattern is initialized and valid
+                    if (this._pattern === undefined || this._pattern === null || this._pattern < 0) {
+                        this._pattern = 0;
+                    }
+                    
+                    // Ensure pattern is within bounds
+                    if (this._pattern >= animation.length) {
+                        this._pattern = this._pattern % animation.length;
+                    }
+                    
+                    // For idle animations, keep pattern at 0 (first frame)
+                    // For walk/run animations, cycle through frames
+                    if (animType === 'custom' && this._customAnimation) {
+                        this.updateCustomAnimationPattern(animation.length);
+                    } else if (animType === 'transition') {
+                        // Play the transition once, then continue with the next state
+                        if (this._pattern < animation.length - 1) {
+                            this._pattern++;
+                        } else {
+                            this.cancelTransition();
+                        }
+                    } else if (animType === 'idleVariant') {
+                        // Play the variant once, then return to the base idle
+                        if (this._pattern < animation.length - 1) {
+                            this._pattern++;
+                        } else {
+                            this.cancelIdleVariant();
+                        }
+                    } else if (animType === 'idle') {
+                        this._pattern = 0;
+                    } else {
+                        // Cycle through animation frames: 0 -> 1 -> 2 -> ... -> (N-1) -> 0
+                        this._pattern = (this._pattern + 1) % animation.length;
+                        if (this._pattern === 0) {
+                            this._frameEventKey = null; // Fire the first frame's events on every loop
+                        }
+                    }
+                    
+                    return;
+                } else {
+                    // Animation doesn't exist, reset tracking and use default
+                    this._lastJsonAnimKey = null;
+                }
+            }
+        } else {
+            // Not a JSON character, reset tracking
+            this._lastJsonAnimKey = null;
+        }
+        
+        // Default behavior for non-JSON characters or when JSON animation doesn't exist
+        _Game_CharacterBase_updatePattern.call(this);
+    };
+
+    /**
+     * Override Game_CharacterBase.pattern to handle variable frame counts
+     */
+    const _Game_CharacterBase_pattern = Game_CharacterBase.prototype.pattern;
+    Game_CharacterBase.prototype.pattern = function() {
+        let characterName = null;
+        try {
+            characterName = this.characterName ? this.characterName() : null;
+        } catch (e) {
+            // characterName() might not exist in all contexts
+        }
+        
+        if (isJsonCharacter(this, characterName)) {
+            const frameData = parseFrameData(characterName, this.characterIndex());
+            
+            if (frameData) {
+                const animKey = getAnimationKey(this, frameData);
+                const animation = getAnimations(this, frameData)[animKey];
+                
+                if (animation && animation.length > 0) {
+                    // Switch to animation (resets pattern if animation changed)
+                    switchToAnimation(this, animKey, animation, frameData);
+                    
+                    // Return pattern within animation frame count
+                    return this._pattern < animation.length ? this._pattern : 0;
+                }
+            }
+        }
+        
+        // Default behavior
+        return _Game_CharacterBase_pattern.call(this);
+    };
+
+    /**
+     * Override Game_CharacterBase.resetPattern
+     */
+    const _Game_CharacterBase_resetPattern = Game_CharacterBase.prototype.resetPattern;
+    Game_CharacterBase.prototype.resetPattern = function() {
+        let characterName = null;
+        try {
+            characterName = this.characterName ? this.characterName() : null;
+        } catch (e) {
+            // characterName() might not exist in all contexts
+        }
+        
+        if (isJsonCharacter(this, characterName)) {
+            const frameData = parseFrameData(characterName, this.characterIndex());
+            
+            if (frameData) {
+                // Reset to first frame (pattern 0)
+                this._pattern = 0;
+                this._lastJsonAnimKey = null; // Reset animation tracking
+                return;
+            }
+        }
+        
+        // Default behavior
+        _Game_CharacterBase_resetPattern.call(this);
+    };
+
+    /**
+     * Override Game_CharacterBase.animationWait to apply speed modifiers
+     * Following GALV's approach: subtract speed modifier from default wait time,
+     * then scale by the current frame's duration relative to Base Frame Duration
+     */
+    const _Game_CharacterBase_animationWait = Game_CharacterBase.prototype.animationWait;
+    Game_CharacterBase.prototype.animationWait = function() {
+        let characterName = null;
+        try {
+            characterName = this.characterName ? this.characterName() : null;
+        } catch (e) {
+            // characterName() might not exist in all contexts
+        }
+        
+        if (isJsonCharacter(this, characterName) && this._jsonPatSpd !== undefined && this._jsonPatSpd !== null) {
+            const baseWait = _Game_CharacterBase_animationWait.call(this);
+            const newWait = Math.max(1, baseWait - this._jsonPatSpd); // Ensure minimum of 1
+            
+            // Scale by the current frame's own duration
+            const frameData = parseFrameData(characterName, this.characterIndex());
+            const animation = frameData && this._jsonAnimKey ? getAnimations(this, frameData)[this._jsonAnimKey] : null;
+            if (animation && animation.length > 0) {
+                const frame = animation[this._pattern] || animation[0];
+                return Math.max(1, newWait * (frame.duration / BASE_FRAME_DURATION));
+            }
+            return newWait;
+        }
+        
+        return _Game_CharacterBase_animationWait.call(this);
+    };
+
+    /**
+     * Override Game_CharacterBase.update to reset pattern when truly stopped
+     */
+    const _Game_CharacterBase_update = Game_CharacterBase.prototype.update;
+    Game_CharacterBase.prototype.update = function() {
+        _Game_CharacterBase_update.call(this);
+        
+        // Check if character uses JSON frames
+        let characterName = null;
+        try {
+            characterName = this.characterName ? this.characterName() : null;
+        } catch (e) {
+            // characterName() might not exist in all contexts
+        }
+        
+        if (isJsonCharacter(this, characterName)) {
+            const frameData = parseFrameData(characterName, this.characterIndex());
+            
+            if (frameData) {
+                this.updateAnimationSet();
+                this.updateTransitions(frameData);
+
+                // Only reset to idle when character just stopped moving
+                // Use justStoppedMoving() for edge detection (fires exactly once)
+                // A playing custom animation keeps control until it ends
+                if (this.justStoppedMoving() && !this._customAnimation) {
+                    // Set flag to force idle until actually moving again
+                    this._forceIdleUntilMoving = true;
+                    
+                    // A stop or turn transition plays before idle
+                    if (!this._transition) {
+                        // Immediately switch to idle animation for current direction
+                        const idleKey = resolveDirectionalKey(frameData, 'idle', this);
+                        const idleAnimation = getAnimations(this, frameData)[idleKey];
+                    
+                        if (idleAnimation && idleAnimation.length > 0) {
+                            // Force switch to idle animation (resets pattern to 0)
+                            this._lastJsonAnimKey = null; // Force animation change detection
+                            switchToAnimation(this, idleKey, idleAnimation, frameData);
+                        } else {
+                            // No idle animation, reset everything
+                            this._pattern = 0;
+                            this._lastJsonAnimKey = null;
+                            this._jsonFrameCount = null;
+                            this._jsonAnimKey = null;
+                            this._jsonPatSpd = 0;
+                        }
+                    }
+                }
+
+                this.updateIdleVariants(frameData);
+                this.updateFrameEvents(frameData);
+            }
+        }
+    };
+
+    // ============================================================================
+    // Custom Animations
+    // ============================================================================
+
+    const CUSTOM_ANIMATION_MODES = ['once', 'loop', 'hold'];
+
+    /**
+     * Play a named animation from the character's JSON
+     * @param {string} name - Animation name (e.g. pickUp, sitLeft). The facing
+     *   direction is appended first if such an animation exists
+     * @param {string} mode - 'once' (then idle), 'loop' (until stopped) or
+     *   'hold' (stay on the last frame until stopped)
+     */
+    Game_CharacterBase.prototype.playCustomAnimation = function(name, mode) {
+        if (!isJsonCharacter(this, this.characterName())) return; // Sheets without an atlas can't play it
+        this._customAnimation = {
+            name: String(name || ''),
+            mode: CUSTOM_ANIMATION_MODES.includes(mode) ? mode : 'once',
+            finished: false
+        };
+        this._transition = null;
+        this._lastJsonAnimKey = null; // Force animation change detection
+        this._animationCount = 0;
+    };
+
+    /**
+     * Stop the custom animation and return to the normal idle/walk/run cycle
+     */
+    Game_CharacterBase.prototype.stopCustomAnimation = function() {
+        if (this._customAnimation) {
+            this._customAnimation = null;
+            this._lastJsonAnimKey = null;
+            this._forceIdleUntilMoving = true;
+        }
+    };
+
+    /**
+     * Check if a custom animation is still playing
+     * Looping animations always count as playing; held animations stop
+     * counting once their last frame is reached
+     */
+    Game_CharacterBase.prototype.isCustomAnimationPlaying = function() {
+        return !!this._customAnimation && !this._customAnimation.finished;
+    };
+
+    /**
+     * Advance the custom animation pattern according to its mode
+     * @param {number} frameCount - Number of frames in the animation
+     */
+    Game_CharacterBase.prototype.updateCustomAnimationPattern = function(frameCount) {
+        const custom = this._customAnimation;
+        const lastFrame = frameCount - 1;
+
+        if (custom.mode === 'loop') {
+            this._pattern = (this._pattern + 1) % frameCount;
+            if (this._pattern === 0) {
+                this._frameEventKey = null; // Fire the first frame's events on every loop
+            }
+        } else if (this._pattern < lastFrame) {
+            this._pattern++;
+        } else if (custom.mode === 'hold') {
+            this._pattern = lastFrame;
+        } else {
+            this.stopCustomAnimation();
+            return;
+        }
+
+        if (custom.mode === 'hold' && this._pattern >= lastFrame) {
+            custom.finished = true;
+        }
+    };
+
+    /**
+     * Keep custom animations (and transitions, idle variants, set idles)
+     * running while standing still
+     * (the default only counts while moving or off the original pattern)
+     * A custom animation on a sheet whose atlas turned out missing is dropped,
+     * so events waiting on it continue
+     */
+    const _Game_CharacterBase_updateAnimationCount = Game_CharacterBase.prototype.updateAnimationCount;
+    Game_CharacterBase.prototype.updateAnimationCount = function() {
+        const characterName = this.characterName();
+        const frameData = getCharacterFrameData(this);
+        if (this._customAnimation && !frameData &&
+            !(isJsonCharacter(this, characterName) && isCharacterJSONLoading(characterName))) {
+            this.stopCustomAnimation();
+        }
+        if (frameData && (this.isCustomAnimationPlaying() || this._idleVariant || this._transition ||
+            this.isAnimationSetPlaying(frameData))) {
+            this._animationCount += this.isMoving() ? 1.5 : 1;
+            return;
+        }
+        _Game_CharacterBase_updateAnimationCount.call(this);
+    };
+
+    PluginManager.registerCommand('KurtsAnimationPlugin', 'playAnimation', function(args) {
+        const character = this.character(Number(args.characterId));
+        if (!character) return;
+
+        const mode = args.mode || 'once';
+        character.playCustomAnimation(args.animation, mode);
+
+        // Looping animations never complete, so they can't be waited on
+        if (args.wait === 'true' && mode !== 'loop') {
+            this._characterId = Number(args.characterId);
+            this.setWaitMode('kurtsAnimation');
+        }
+    });
+
+    PluginManager.registerCommand('KurtsAnimationPlugin', 'stopAnimation', function(args) {
+        const character = this.character(Number(args.characterId));
+        if (character) {
+            character.stopCustomAnimation();
+        }
+    });
+
+    /**
+     * Wait for custom animations started with "Wait for Completion"
+     */
+    const _Game_Interpreter_updateWaitMode = Game_Interpreter.prototype.updateWaitMode;
+    Game_Interpreter.prototype.updateWaitMode = function() {
+        if (this._waitMode === 'kurtsAnimation') {
+            const character = this.character(this._characterId);
+            if (character && character.isCustomAnimationPlaying()) {
+                return true;
+            }
+            this._waitMode = '';
+            return false;
+        }
+        return _Game_Interpreter_updateWaitMode.call(this);
+    };
+
+    // ============================================================================
+    // Saved Animation State
+    // ============================================================================
+
+    /**
+     * The animation state kept across saving and map transfers: the custom
+     * animation, its mode and its frame. Everything else (tracking keys,
+     * speeds, transitions, idle variants) is rebuilt from the character
+     * @returns {Object|null} { name, mode, finished, frame }, or null when no
+     *   custom animation is playing
+     */
+    Game_CharacterBase.prototype.animationState = function() {
+        const custom = this._customAnimation;
+        if (!custom) return null;
+        return {
+            name: custom.name,
+            mode: custom.mode,
+            finished: custom.finished,
+            frame: typeof this._pattern === 'number' ? this._pattern : 0
+        };
+    };
+
+    /**
+     * Reset the runtime animation fields and resume a saved state
+     * @param {Object|null} state - Result of animationState()
+     */
+    Game_CharacterBase.prototype.restoreAnimationState = function(state) {
+        this._lastJsonAnimKey = null;
+        this._jsonAnimKey = null;
+        this._jsonFrameCount = null;
+        this._jsonPatSpd = null;
+        this._forceIdleUntilMoving = false;
+        this._frameEventKey = null;
+        this._transition = null;
+        this._transitionDirection = null;
+        this._transitionMoveType = null;
+        this._bufferedDirection = null;
+        this._idleVariant = null;
+        this._idleFrames = 0;
+        this._nextIdleVariantAt = 0;
+        this._animationSet = null;
+        this._customAnimation = null;
+        this._resumeFrame = null;
+
+        if (state) {
+            this._customAnimation = {
+                name: state.name,
+                mode: state.mode,
+                finished: state.finished
+            };
+            this._pattern = state.frame;
+            this._resumeFrame = state.frame;
+            this._animationCount = 0;
+        }
+    };
+
+    /**
+     * Resume the characters' animations after loading a save
+     */
+    const _DataManager_extractSaveContents = DataManager.extractSaveContents;
+    DataManager.extractSaveContents = function(contents) {
+        _DataManager_extractSaveContents.call(this, contents);
+        const characters = [$gamePlayer].concat($gamePlayer.followers().data(), $gameMap.events());
+        for (const character of characters) {
+            character.restoreAnimationState(character.animationState());
+        }
+    };
+
+    /**
+     * Keep the player's and followers' animations through a transfer
+     * (locate() would otherwise reset them to the first frame)
+     */
+    const _Game_Player_performTransfer = Game_Player.prototype.performTransfer;
+    Game_Player.prototype.performTransfer = function() {
+        if (!this.isTransferring()) {
+            _Game_Player_performTransfer.call(this);
+            return;
+        }
+        const characters = [this].concat(this.followers().data());
+        const states = characters.map(character => character.animationState());
+        _Game_Player_performTransfer.call(this);
+        characters.forEach((character, index) => character.restoreAnimationState(states[index]));
+    };
+
+    // ============================================================================
+    // Stride Length
+    // ============================================================================
+
+    /**
+     * Pixels to travel before the next walk/run frame, or 0 when frames
+     * advance by time (no stride length, standing, or another animation)
+     * @returns {number}
+     */
+    Game_CharacterBase.prototype.strideStep = function() {
+        if (!this.isMoving() || this._customAnimation || this._transition) return 0;
+        const frameData = getCharacterFrameData(this);
+        if (!frameData) return 0;
+
+        const animType = getAnimationType(this, frameData);
+        if (animType !== 'walk' && animType !== 'run') return 0;
+        const stride = getCharacterSetting(this, frameData, animType + 'Stride');
+        if (!stride) return 0;
+
+        const animation = getAnimations(this, frameData)[getAnimationKey(this, frameData)];
+        if (!animation || animation.length === 0) return 0;
+        const total = animation.reduce((sum, frame) => sum + frame.duration, 0);
+        const frame = animation[this._pattern] || animation[0];
+        return stride * frame.duration / total;
+    };
+
+    /**
+     * Pixels moved since the last update (0 after a jump to another place)
+     * @returns {number}
+     */
+    Game_CharacterBase.prototype.updateStrideDistance = function() {
+        const lastX = this._strideX;
+        const lastY = this._strideY;
+        this._strideX = this._realX;
+        this._strideY = this._realY;
+        if (typeof lastX !== 'number' || typeof lastY !== 'number') return 0;
+
+        const dx = this._realX - lastX;
+        const dy = this._realY - lastY;
+        // Transfers and looping map edges move more than a tile at once
+        if (Math.abs(dx) > 1 || Math.abs(dy) > 1) return 0;
+        return Math.hypot(dx * $gameMap.tileWidth(), dy * $gameMap.tileHeight());
+    };
+
+    /**
+     * Advance walk/run frames by distance traveled when a stride length is set
+     * _animationCount holds pixels in stride mode and frames otherwise, so it
+     * restarts whenever the mode changes
+     */
+    const _Game_CharacterBase_updateAnimation = Game_CharacterBase.prototype.updateAnimation;
+    Game_CharacterBase.prototype.updateAnimation = function() {
+        if (!this.isMoving() && this._stopCount > 0) {
+            this._runAnimation = false; // The next start walks until it reaches run speed
+        }
+        const distance = this.updateStrideDistance();
+        const step = this.strideStep();
+        const strideMode = step > 0;
+        if (!!this._strideMode !== strideMode) {
+            this._strideMode = strideMode;
+            this._animationCount = 0;
+        }
+        if (!strideMode) {
+            _Game_CharacterBase_updateAnimation.call(this);
+            return;
+        }
+
+        this._animationCount += distance;
+        let next = step;
+        while (this._animationCount >= next) {
+            this._animationCount -= next;
+            this.updatePattern();
+            next = this.strideStep();
+            if (next <= 0) {
+                this._strideMode = false;
+                this._animationCount = 0;
+                break;
+            }
+        }
+    };
+
+    // ============================================================================
+    // Diagonal Directions
+    // ============================================================================
+
+    /**
+     * Remember the diagonal direction of the last diagonal move
+     * The engine only keeps a cardinal direction, so idle would lose the diagonal
+     */
+    const _Game_CharacterBase_moveDiagonally = Game_CharacterBase.prototype.moveDiagonally;
+    Game_CharacterBase.prototype.moveDiagonally = function(horz, vert) {
+        this._movingDiagonally = true;
+        _Game_CharacterBase_moveDiagonally.call(this, horz, vert);
+        this._movingDiagonally = false;
+        if (!this.isDirectionFixed()) {
+            this._diagonalDirection = (vert === 2 ? 0 : 6) + (horz === 4 ? 1 : 3);
+        }
+    };
+
+    /**
+     * Straight moves always face a cardinal direction
+     */
+    const _Game_CharacterBase_moveStraight = Game_CharacterBase.prototype.moveStraight;
+    Game_CharacterBase.prototype.moveStraight = function(d) {
+        if (!this.isDirectionFixed()) {
+            this._diagonalDirection = 0;
+        }
+        _Game_CharacterBase_moveStraight.call(this, d);
+    };
+
+    /**
+     * Track diagonals set directly (8-direction plugins) and forget the
+     * stored diagonal on any other turn (e.g. a "Turn Down" command)
+     * The engine's own turns inside moveDiagonally keep it
+     */
+    const _Game_CharacterBase_setDirection = Game_CharacterBase.prototype.setDirection;
+    Game_CharacterBase.prototype.setDirection = function(d) {
+        _Game_CharacterBase_setDirection.call(this, d);
+        if (this.isDirectionFixed() || !d || this._movingDiagonally) return;
+        this._diagonalDirection = isDiagonalDirection(d) ? d : 0;
+    };
+
+    // ============================================================================
+    // Atlas Preloading
+    // ============================================================================
+
+    /**
+     * Load a character's JSON alongside its bitmap
+     */
+    const _ImageManager_loadCharacter = ImageManager.loadCharacter;
+    ImageManager.loadCharacter = function(filename) {
+        if (isJsonCharacterName(filename)) {
+            requestCharacterJSON(filename);
+        }
+        return _ImageManager_loadCharacter.call(this, filename);
+    };
+
+    /**
+     * Scenes (e.g. Scene_Map.isReady) wait for atlas JSON as well as bitmaps
+     */
+    const _ImageManager_isReady = ImageManager.isReady;
+    ImageManager.isReady = function() {
+        return _ImageManager_isReady.call(this) && isAtlasCacheReady();
+    };
+
+    /**
+     * Preload the JSON of every event page image on the map, so page
+     * changes don't load mid-map
+     */
+    const _Game_Map_setup = Game_Map.prototype.setup;
+    Game_Map.prototype.setup = function(mapId) {
+        _Game_Map_setup.call(this, mapId);
+        for (const event of $dataMap.events) {
+            if (!event) continue;
+            // <kurtAnim:json=true> opts other sheets in (e.g. !Door)
+            const config = parseNoteConfig(event.note, 'Map ' + mapId + ' event ' + event.id);
+            const noted = config ? config.json : undefined;
+            for (const page of event.pages) {
+                const name = page.image.characterName;
+                if (noted !== undefined ? noted : isJsonCharacterName(name)) {
+                    requestCharacterJSON(name);
+                    queueAtlasValidation(name);
+                }
+            }
+        }
+        preloadAnimationLayers(mapId);
+    };
+
+    // ============================================================================
+    // Frame Events
+    // ============================================================================
+
+    /**
+     * Get volume scale for a sound played by a character, by distance to the player
+     */
+    function getSoundAttenuation(character) {
+        if (SOUND_FALLOFF_DISTANCE <= 0 || character === $gamePlayer || !$gamePlayer) {
+            return 1;
+        }
+        const dx = $gameMap.deltaX(character._realX, $gamePlayer._realX);
+        const dy = $gameMap.deltaY(character._realY, $gamePlayer._realY);
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        return Math.max(0, 1 - distance / SOUND_FALLOFF_DISTANCE);
+    }
+
+    /**
+     * Run a single frame event for a character
+     */
+    function runFrameEvent(character, event) {
+        switch (event.type) {
+            case 'se': {
+                const volume = Math.round(event.volume * getSoundAttenuation(character));
+                if (volume > 0 && event.name) {
+                    AudioManager.playSe({ name: event.name, volume: volume, pitch: event.pitch, pan: event.pan });
+                }
+                break;
+            }
+            case 'commonEvent':
+                if (event.id > 0) {
+                    $gameTemp.reserveCommonEvent(event.id);
+                }
+                break;
+            case 'animation':
+                if (event.id > 0) {
+                    $gameTemp.requestAnimation([character], event.id);
+                }
+                break;
+            case 'script':
+                try {
+                    event.callback.call(character, character);
+                } catch (e) {
+                    console.error('[KurtsAnimationPlugin] Frame event script error:', e);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Fire frame events when the character enters a new frame
+     * @param {Object} frameData - Parsed frame data of the character
+     */
+    Game_CharacterBase.prototype.updateFrameEvents = function(frameData) {
+        const animKey = this._jsonAnimKey;
+        const animation = animKey ? getAnimations(this, frameData)[animKey] : null;
+        if (!animation || typeof this._pattern !== 'number') {
+            this._frameEventKey = null;
+            return;
+        }
+
+        const index = Math.min(this._pattern, animation.length - 1);
+        const frameKey = animKey + ':' + index;
+        if (this._frameEventKey === frameKey) return;
+        this._frameEventKey = frameKey;
+
+        const events = frameData.frameEvents;
+        const keys = [animation[index].name, frameKey];
+        if (index === animation.length - 1) {
+            keys.push(animKey + ':last');
+        }
+        for (const key of keys) {
+            for (const event of events[key] || []) {
+                runFrameEvent(this, event);
+            }
+        }
+    };
+
+    // ============================================================================
+    // Idle Variants
+    // ============================================================================
+
+    /**
+     * Check if the player is giving any input (cancels idle variants)
+     */
+    function isPlayerInputActive() {
+        return Input.dir8 !== 0 ||
+            ['ok', 'cancel', 'shift', 'menu', 'pageup', 'pagedown'].some(button => Input.isPressed(button)) ||
+            TouchInput.isPressed();
+    }
+
+    /**
+     * Get a random number of idle frames until the next idle variant
+     */
+    function getIdleVariantInterval() {
+        return IDLE_VARIANT_INTERVAL_MIN + Math.randomInt(IDLE_VARIANT_INTERVAL_MAX - IDLE_VARIANT_INTERVAL_MIN + 1);
+    }
+
+    /**
+     * Pick a weighted random variant among those allowed after idleFrames
+     * that exist in the character's sheet
+     */
+    function pickIdleVariant(character, frameData, idleFrames) {
+        const candidates = IDLE_VARIANTS.filter(variant =>
+            variant.idleTime <= idleFrames &&
+            getAnimations(character, frameData)[resolveDirectionalKey(frameData, 'idle', character, variant.name)]
+        );
+        const totalWeight = candidates.reduce((sum, variant) => sum + variant.weight, 0);
+        let roll = Math.random() * totalWeight;
+        for (const variant of candidates) {
+            roll -= variant.weight;
+            if (roll < 0) {
+                return variant;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Stop the idle variant and return to the base idle
+     */
+    Game_CharacterBase.prototype.cancelIdleVariant = function() {
+        if (this._idleVariant) {
+            this._idleVariant = null;
+            this._lastJsonAnimKey = null;
+        }
+    };
+
+    /**
+     * Count idle time and start idle variants
+     * Movement (or player input) cancels a playing variant immediately
+     */
+    Game_CharacterBase.prototype.updateIdleVariants = function(frameData) {
+        if (IDLE_VARIANTS.length === 0) return;
+
+        const isActive = this.isMoving() || !!this._customAnimation || !!this._transition ||
+            this.isAnimationSetPlaying(frameData) || (this === $gamePlayer && isPlayerInputActive());
+        if (isActive) {
+            this.cancelIdleVariant();
+            this._idleFrames = 0;
+            this._nextIdleVariantAt = 0;
+            return;
+        }
+        if (this._idleVariant) return; // Idle time doesn't count while a variant plays
+
+        this._idleFrames = (this._idleFrames || 0) + 1;
+        if (!this._nextIdleVariantAt) {
+            this._nextIdleVariantAt = this._idleFrames + getIdleVariantInterval();
+        }
+        if (this._idleFrames >= this._nextIdleVariantAt) {
+            const variant = pickIdleVariant(this, frameData, this._idleFrames);
+            if (variant) {
+                this._idleVariant = variant.name;
+                this._lastJsonAnimKey = null; // Start the variant from its first frame
+            }
+            this._nextIdleVariantAt = this._idleFrames + getIdleVariantInterval();
+        }
+    };
+
+    // ============================================================================
+    // Transitions
+    // ============================================================================
+
+    /**
+     * Get parsed frame data for a character using JSON frames
+     */
+    function getCharacterFrameData(character) {
+        const characterName = character.characterName();
+        return isJsonCharacter(character, characterName) ? parseFrameData(characterName, character.characterIndex()) : null;
+    }
+
+    /**
+     * Start a transition clip if the character's sheet has it
+     * @param {Object} frameData - Parsed frame data of the character
+     * @param {string} key - Animation key (turnLeftToRight, startWalkDown, stopRunDown)
+     * @param {string} type - 'turn', 'start' or 'stop'
+     * @returns {boolean} Whether the transition started
+     */
+    Game_CharacterBase.prototype.startTransition = function(frameData, key, type) {
+        if (!getAnimations(this, frameData)[key]) {
+            return false;
+        }
+        this._transition = {
+            key: key,
+            type: type,
+            // Start clips play while moving, so only turn and stop clips hold moves back
+            buffer: type !== 'start' && getCharacterSetting(this, frameData, 'transitionInput') === 'buffer'
+        };
+        this.cancelIdleVariant();
+        this._lastJsonAnimKey = null; // Start the transition from its first frame
+        this._animationCount = 0;
+        return true;
+    };
+
+    /**
+     * Stop the transition and continue with the current state
+     */
+    Game_CharacterBase.prototype.cancelTransition = function() {
+        if (this._transition) {
+            this._transition = null;
+            this._lastJsonAnimKey = null;
+        }
+    };
+
+    /**
+     * Check if a turn or stop transition is holding back movement (buffer mode)
+     */
+    Game_CharacterBase.prototype.isTransitionHoldingMovement = function() {
+        return !!this._transition && this._transition.buffer;
+    };
+
+    /**
+     * Play a turn clip when a standing character changes direction
+     */
+    Game_CharacterBase.prototype.updateTurnTransition = function(frameData) {
+        const direction = this.direction();
+        const lastDirection = this._transitionDirection;
+        this._transitionDirection = direction;
+        if (!lastDirection || lastDirection === direction) return;
+        if (this.isMoving() || this._transitionMoveType || this._customAnimation) return;
+
+        const key = 'turn' + getDirectionName(lastDirection) + 'To' + getDirectionName(direction);
+        this.startTransition(frameData, key, 'turn');
+    };
+
+    /**
+     * Start, stop and turn transitions
+     * Movement cancels a turn or stop clip (in buffer mode moves wait for it instead)
+     */
+    Game_CharacterBase.prototype.updateTransitions = function(frameData) {
+        const transition = this._transition;
+        if (transition && transition.type !== 'start' && this.isMoving()) {
+            this.cancelTransition();
+        }
+
+        if (this._customAnimation) {
+            this._transitionMoveType = null;
+        } else if (this.isMoving()) {
+            if (!this._transitionMoveType) {
+                const moveType = getMovementType(this, frameData);
+                this._transitionMoveType = moveType;
+                const key = resolveDirectionalKey(frameData, 'start' + moveType.charAt(0).toUpperCase() + moveType.slice(1), this);
+                this.startTransition(frameData, key, 'start');
+            }
+        } else if (this.justStoppedMoving() && this._transitionMoveType) {
+            const moveType = this._transitionMoveType;
+            this._transitionMoveType = null;
+            this.cancelTransition();
+            const key = resolveDirectionalKey(frameData, 'stop' + moveType.charAt(0).toUpperCase() + moveType.slice(1), this);
+            this.startTransition(frameData, key, 'stop');
+        }
+
+        this.updateTurnTransition(frameData);
+    };
+
+    /**
+     * In buffer mode, hold moves back while a turn or stop clip plays
+     * A standing character turning to move plays its turn clip first
+     * @param {number} d - Move direction (0 for diagonal moves, which don't start a turn)
+     * @returns {boolean} Whether the move was held back
+     */
+    Game_CharacterBase.prototype.deferMoveForTransition = function(d) {
+        if (this.isMoving()) {
+            return false;
+        }
+        if (d && !this._transition && d !== this.direction() && !this.isDirectionFixed()) {
+            const frameData = getCharacterFrameData(this);
+            if (frameData && getCharacterSetting(this, frameData, 'transitionInput') === 'buffer') {
+                this.setDirection(d);
+                this.updateTurnTransition(frameData);
+            }
+        }
+        if (this.isTransitionHoldingMovement()) {
+            this.setMovementSuccess(false);
+            return true;
+        }
+        return false;
+    };
+
+    /**
+     * Followers keep up with the player instead of waiting for transitions
+     */
+    Game_Follower.prototype.deferMoveForTransition = function() {
+        return false;
+    };
+
+    const _Game_Character_moveStraight = Game_Character.prototype.moveStraight;
+    Game_Character.prototype.moveStraight = function(d) {
+        if (this.deferMoveForTransition(d)) return;
+        _Game_Character_moveStraight.call(this, d);
+    };
+
+    const _Game_Character_moveDiagonally = Game_Character.prototype.moveDiagonally;
+    Game_Character.prototype.moveDiagonally = function(horz, vert) {
+        if (this.deferMoveForTransition(0)) return;
+        _Game_Character_moveDiagonally.call(this, horz, vert);
+    };
+
+    /**
+     * The player's own moves are checked before followers are told to move
+     */
+    const _Game_Player_moveStraight = Game_Player.prototype.moveStraight;
+    Game_Player.prototype.moveStraight = function(d) {
+        if (this.deferMoveForTransition(d)) return;
+        _Game_Player_moveStraight.call(this, d);
+    };
+
+    const _Game_Player_moveDiagonally = Game_Player.prototype.moveDiagonally;
+    Game_Player.prototype.moveDiagonally = function(horz, vert) {
+        if (this.deferMoveForTransition(0)) return;
+        _Game_Player_moveDiagonally.call(this, horz, vert);
+    };
+
+    /**
+     * Remember a direction tapped during a held transition and walk it
+     * once the transition ends
+     */
+    const _Game_Player_moveByInput = Game_Player.prototype.moveByInput;
+    Game_Player.prototype.moveByInput = function() {
+        if (this._bufferedDirection && !this.isTransitionHoldingMovement() &&
+            !this.isMoving() && this.canMove()) {
+            const direction = this._bufferedDirection;
+            this._bufferedDirection = 0;
+            if (this.getInputDirection() === 0) {
+                this.executeMove(direction);
+                return;
+            }
+        }
+        _Game_Player_moveByInput.call(this);
+        if (this.isTransitionHoldingMovement() && this.canMove()) {
+            const direction = this.getInputDirection();
+            if (direction > 0) {
+                this._bufferedDirection = direction;
+            }
+        }
+    };
+
+    // ============================================================================
+    // Animation Sets
+    // ============================================================================
+
+    /**
+     * Actor whose states select animation sets (none for events)
+     * @returns {Game_Actor|null}
+     */
+    Game_CharacterBase.prototype.animationSetActor = function() {
+        return null;
+    };
+
+    Game_Player.prototype.animationSetActor = function() {
+        return $gameParty.leader();
+    };
+
+    Game_Follower.prototype.animationSetActor = function() {
+        return this.actor();
+    };
+
+    /**
+     * Check if all conditions of an animation set are met for a character
+     */
+    function isAnimationSetActive(set, character) {
+        if (set.terrainTag && character.terrainTag() !== set.terrainTag) {
+            return false;
+        }
+        if (set.regionId && character.regionId() !== set.regionId) {
+            return false;
+        }
+        if (set.ladder && !character.isOnLadder()) {
+            return false;
+        }
+        if (set.switchId && !$gameSwitches.value(set.switchId)) {
+            return false;
+        }
+        if (set.stateId) {
+            const actor = character.animationSetActor();
+            if (!actor || !actor.isStateAffected(set.stateId)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Resolve an animation type to a key from an animation set
+     * walk -> swimDown, run -> swimRunDown or swimDown, idle -> swimIdleDown
+     * @returns {string|null} Key, or null to fall back to the normal animation
+     */
+    function resolveAnimationSetKey(frameData, prefix, animType, character) {
+        const types = animType === 'idle' ? ['Idle'] : animType === 'run' ? ['Run', ''] : [''];
+        for (const type of types) {
+            const key = resolveDirectionalKey(frameData, prefix + type, character);
+            if (getAnimations(character, frameData)[key]) {
+                return key;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check if the character shows an animation from its animation set
+     * (a set whose animations are missing from the sheet doesn't count)
+     * @param {Object|null} frameData - Parsed frame data of the character
+     */
+    Game_CharacterBase.prototype.isAnimationSetPlaying = function(frameData) {
+        if (!this._animationSet || !frameData) {
+            return false;
+        }
+        return !!resolveAnimationSetKey(frameData, this._animationSet, getAnimationType(this, frameData), this);
+    };
+
+    /**
+     * Pick the first animation set whose conditions are met
+     */
+    Game_CharacterBase.prototype.updateAnimationSet = function() {
+        const set = ANIMATION_SETS.find(set => isAnimationSetActive(set, this));
+        this._animationSet = set ? set.prefix : '';
+    };
+
+    // ============================================================================
+    // Layers
+    // ============================================================================
+
+    /**
+     * Add or replace a layer in a layer list
+     * @param {Array} layers - Layer list of an actor or event
+     * @param {string} name - Layer name (e.g. dress)
+     * @param {Object} values - { image, z, tint, visible }
+     */
+    function setAnimationLayerIn(layers, name, values) {
+        const layer = {
+            name: String(name),
+            image: String(values.image || ''),
+            z: Number(values.z) || 0,
+            tint: String(values.tint || '#ffffff'),
+            visible: values.visible !== false
+        };
+        const index = layers.findIndex(l => l.name === layer.name);
+        if (index >= 0) {
+            layers[index] = layer;
+        } else {
+            layers.push(layer);
+        }
+        ImageManager.loadCharacter(layer.image);
+    }
+
+    /**
+     * Remove a layer from a layer list (all layers when name is empty)
+     */
+    function removeAnimationLayerIn(layers, name) {
+        for (let i = layers.length - 1; i >= 0; i--) {
+            if (!name || layers[i].name === name) {
+                layers.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Show or hide a layer in a layer list
+     */
+    function setAnimationLayerVisibleIn(layers, name, visible) {
+        const layer = layers.find(l => l.name === name);
+        if (layer) {
+            layer.visible = !!visible;
+        }
+    }
+
+    /**
+     * Layers of an actor, saved with the actor
+     * @returns {Array<Object>}
+     */
+    Game_Actor.prototype.animationLayers = function() {
+        if (!this._animationLayers) {
+            this._animationLayers = [];
+        }
+        return this._animationLayers;
+    };
+
+    // Shared layer list of events without layers (reads don't grow the save file)
+    const NO_LAYERS = Object.freeze([]);
+
+    /**
+     * Layers of an event, saved with the game by map and event ID
+     * @param {boolean} [create] - Store a new list if the event has none (to add a layer)
+     * @returns {Array<Object>}
+     */
+    Game_System.prototype.eventAnimationLayers = function(mapId, eventId, create) {
+        if (!this._eventAnimationLayers) {
+            this._eventAnimationLayers = {};
+        }
+        const key = mapId + ',' + eventId;
+        const layers = this._eventAnimationLayers[key];
+        if (layers && (layers.length > 0 || create)) {
+            return layers;
+        }
+        if (create) {
+            this._eventAnimationLayers[key] = [];
+            return this._eventAnimationLayers[key];
+        }
+        delete this._eventAnimationLayers[key]; // Drop lists whose layers were all removed
+        return NO_LAYERS;
+    };
+
+    /**
+     * Layers drawn over a character (the actor's layers for the player and followers)
+     * @param {boolean} [create] - Used by events: store a list to add a layer to
+     * @returns {Array<Object>}
+     */
+    Game_CharacterBase.prototype.animationLayers = function() {
+        return [];
+    };
+
+    Game_Player.prototype.animationLayers = function() {
+        const actor = $gameParty.leader();
+        return actor ? actor.animationLayers() : [];
+    };
+
+    Game_Follower.prototype.animationLayers = function() {
+        const actor = this.actor();
+        return actor ? actor.animationLayers() : [];
+    };
+
+    Game_Event.prototype.animationLayers = function(create) {
+        return $gameSystem.eventAnimationLayers(this._mapId, this._eventId, create);
+    };
+
+    for (const owner of [Game_Actor, Game_CharacterBase]) {
+        owner.prototype.setAnimationLayer = function(name, values) {
+            setAnimationLayerIn(this.animationLayers(true), name, values || {});
+        };
+
+        owner.prototype.removeAnimationLayer = function(name) {
+            removeAnimationLayerIn(this.animationLayers(), name);
+        };
+
+        owner.prototype.setAnimationLayerVisible = function(name, visible) {
+            setAnimationLayerVisibleIn(this.animationLayers(), name, visible);
+        };
+    }
+
+    /**
+     * Get the actor or character whose layers a plugin command changes
+     */
+    function getLayerOwner(interpreter, args) {
+        const actorId = Number(args.actorId) || 0;
+        return actorId > 0 ? $gameActors.actor(actorId) : interpreter.character(Number(args.characterId));
+    }
+
+    PluginManager.registerCommand('KurtsAnimationPlugin', 'setLayer', function(args) {
+        const owner = getLayerOwner(this, args);
+        if (owner && args.layer) {
+            owner.setAnimationLayer(args.layer, {
+                image: args.image,
+                z: Number(args.z),
+                tint: args.tint,
+                visible: args.visible !== 'false'
+            });
+        }
+    });
+
+    PluginManager.registerCommand('KurtsAnimationPlugin', 'setLayerVisible', function(args) {
+        const owner = getLayerOwner(this, args);
+        if (owner) {
+            owner.setAnimationLayerVisible(args.layer, args.visible !== 'false');
+        }
+    });
+
+    PluginManager.registerCommand('KurtsAnimationPlugin', 'removeLayer', function(args) {
+        const owner = getLayerOwner(this, args);
+        if (owner) {
+            owner.removeAnimationLayer(args.layer);
+        }
+    });
+
+    /**
+     * Load the layer images of the party and the map's events with the map
+     */
+    function preloadAnimationLayers(mapId) {
+        const layerLists = $gameParty.members().map(actor => actor.animationLayers());
+        for (const event of $dataMap.events) {
+            if (event) {
+                layerLists.push($gameSystem.eventAnimationLayers(mapId, event.id));
+            }
+        }
+        for (const layers of layerLists) {
+            for (const layer of layers) {
+                ImageManager.loadCharacter(layer.image);
+            }
+        }
+    }
+
+    /**
+     * Parse a tint color (#rrggbb) to a number
+     */
+    function parseTint(tint) {
+        const value = parseInt(String(tint).replace('#', ''), 16);
+        return isNaN(value) ? 0xffffff : value;
+    }
+
+    //-----------------------------------------------------------------------------
+    // Sprite_AnimationLayer
+    //
+    // A layer drawn over a character sprite, following its animation.
+
+    function Sprite_AnimationLayer() {
+        this.initialize(...arguments);
+    }
+
+    Sprite_AnimationLayer.prototype = Object.create(Sprite.prototype);
+    Sprite_AnimationLayer.prototype.constructor = Sprite_AnimationLayer;
+
+    Sprite_AnimationLayer.prototype.initialize = function(layer) {
+        Sprite.prototype.initialize.call(this);
+        this.anchor.x = 0.5;
+        this.anchor.y = 1;
+        this._layerName = layer.name;
+        this._layerZ = layer.z;
+        this._layerImage = '';
+    };
+
+    Sprite_AnimationLayer.prototype.setJsonFrame = Sprite_Character.prototype.setJsonFrame;
+
+    /**
+     * Apply the layer settings and pick the frame matching the body
+     * @param {Object} layer - Layer data (image, z, tint, visible)
+     * @param {Game_CharacterBase} character - Character the layer belongs to
+     * @param {Object} baseFrame - Frame entry shown by the body
+     */
+    Sprite_AnimationLayer.prototype.updateLayer = function(layer, character, baseFrame) {
+        if (this._layerImage !== layer.image) {
+            this._layerImage = layer.image;
+            this.bitmap = ImageManager.loadCharacter(layer.image);
+        }
+        this._layerZ = layer.z;
+        this.tint = parseTint(layer.tint);
+
+        const entry = this.findLayerFrame(character, baseFrame);
+        this.visible = layer.visible && !!entry;
+        if (entry) {
+            this.setJsonFrame(entry.layout);
+        }
+    };
+
+    /**
+     * Find the layer frame for the body's animation key and pattern
+     * A mirrored body is flipped as a whole, so the layer uses the unflipped
+     * side; a side missing from the layer is flipped on its own (Auto Mirror)
+     */
+    Sprite_AnimationLayer.prototype.findLayerFrame = function(character, baseFrame) {
+        const frameData = parseFrameData(this._layerImage);
+        if (!frameData || !baseFrame) {
+            return null;
+        }
+        const baseFrameData = getCharacterFrameData(character);
+        const animKey = character._jsonAnimKey;
+        const baseAnimation = animKey && baseFrameData ? getAnimations(character, baseFrameData)[animKey] : null;
+        this.scale.x = 1;
+        if (!baseAnimation || !baseAnimation.includes(baseFrame)) {
+            return frameData.firstFrame; // Body shows its first frame (missing animation)
+        }
+
+        const sourceKey = baseFrame.mirror ? swapSides(animKey) : animKey;
+        let animation = frameData.animations[sourceKey];
+        if (!animation && getCharacterSetting(character, baseFrameData, 'mirror')) {
+            animation = frameData.animations[swapSides(sourceKey)];
+            this.scale.x = -1;
+        }
+        if (!animation || animation.length === 0) {
+            return null;
+        }
+        return animation[character._pattern % animation.length] || animation[0];
+    };
+
+    /**
+     * Check if the character has visible layers behind its body
+     */
+    Sprite_Character.prototype.hasAnimationLayersBehind = function() {
+        return !!this._character && this._character.animationLayers().some(layer => layer.visible && layer.z < 0);
+    };
+
+    /**
+     * Draw the body through the half body sprites without bush transparency,
+     * so layers can be placed behind it
+     */
+    Sprite_Character.prototype.showBodyAsHalfBodies = function() {
+        this.createHalfBodySprites();
+        for (const body of [this._upperBody, this._lowerBody]) {
+            body.bitmap = this.bitmap;
+            body.visible = true;
+            body.setBlendColor(this.getBlendColor());
+            body.setColorTone(this.getColorTone());
+            body.blendMode = this.blendMode;
+        }
+    };
+
+    /**
+     * Create, update and remove layer sprites to match the character's layers
+     * @param {Object|null} baseFrame - Frame entry shown by the body (null = no JSON frame)
+     */
+    Sprite_Character.prototype.updateAnimationLayers = function(baseFrame) {
+        const layers = this._character ? this._character.animationLayers() : [];
+        if (!this._animationLayerSprites) {
+            if (layers.length === 0) return;
+            this._animationLayerSprites = {};
+        }
+
+        const sprites = this._animationLayerSprites;
+        for (const name of Object.keys(sprites)) {
+            if (!layers.some(layer => layer.name === name)) {
+                this.removeChild(sprites[name]);
+                delete sprites[name];
+            }
+        }
+        for (const layer of layers) {
+            if (!sprites[layer.name]) {
+                sprites[layer.name] = new Sprite_AnimationLayer(layer);
+                this.addChild(sprites[layer.name]);
+            }
+            const sprite = sprites[layer.name];
+            sprite.updateLayer(layer, this._character, baseFrame);
+            sprite.setBlendColor(this.getBlendColor());
+            sprite.setColorTone(this.getColorTone());
+            sprite.blendMode = this.blendMode;
+        }
+
+        // Half bodies sit between layers behind (z < 0) and in front (z >= 0)
+        // Mouth and eyes tracks stay right above the body
+        const order = child => child instanceof Sprite_AnimationLayer ? child._layerZ
+            : child instanceof Sprite_OverlayTrack ? -0.25 : -0.5;
+        this.children.sort((a, b) => order(a) - order(b));
+    };
+
+    // ============================================================================
+    // Animated Pictures
+    // ============================================================================
+
+    // Pictures animate at the pace of a character at normal move speed
+    const PICTURE_MOVE_SPEED = 4;
+
+    // Compiled picture speed formulas, keyed by formula text
+    const _pictureFormulaCache = {};
+
+    /**
+     * Get JSON path for a picture image
+     * Only pictures named with [anim] have one unless Animated Pictures is ON,
+     * so ordinary pictures don't request missing files
+     */
+    function getPictureJSONPath(pictureName) {
+        if (!pictureName || !(PICTURE_ATLASES || pictureName.includes('[anim]'))) {
+            return null;
+        }
+        return 'img/pictures/' + pictureName + '.json';
+    }
+
+    /**
+     * Get parsed frame data of a picture
+     * Returns null while loading (and starts the load if needed) or if the
+     * picture has no JSON atlas
+     */
+    function getPictureFrameData(pictureName) {
+        const jsonPath = getPictureJSONPath(pictureName);
+        if (!jsonPath) {
+            return null;
+        }
+        if (_frameDataCache[jsonPath]) {
+            return _frameDataCache[jsonPath];
+        }
+        const entry = requestAtlasJSON(jsonPath);
+        if (entry.state !== 'loaded' || !entry.data || typeof entry.data !== 'object' || !entry.data.frames) {
+            return null;
+        }
+        _frameDataCache[jsonPath] = buildFrameData(jsonPath, entry.data, null, 0);
+        return _frameDataCache[jsonPath];
+    }
+
+    /**
+     * Check if a picture's JSON is still loading
+     */
+    function isPictureJSONLoading(pictureName) {
+        const jsonPath = getPictureJSONPath(pictureName);
+        return !!jsonPath && requestAtlasJSON(jsonPath).state === 'loading';
+    }
+
+    /**
+     * Get the speed formula of a picture animation: the formula given when
+     * it was played, else the JSON meta (animation name, then type)
+     */
+    function getPictureSpeedFormula(frameData, animation) {
+        if (animation.speed) {
+            if (_pictureFormulaCache[animation.speed] === undefined) {
+                try {
+                    _pictureFormulaCache[animation.speed] = compileFormula(animation.speed, 'picture animation ' + animation.name);
+                } catch (e) {
+                    console.warn(e.message);
+                    _pictureFormulaCache[animation.speed] = null;
+                }
+            }
+            return _pictureFormulaCache[animation.speed];
+        }
+        const config = frameData.config;
+        return config ? config.speed[animation.name] || config.speed[getAnimationTypeOfKey(animation.name)] || null : null;
+    }
+
+    /**
+     * Play a named animation from the picture's JSON atlas
+     * @param {string} name - Animation name (e.g. talk, blink)
+     * @param {string} mode - 'once' (then the first frame), 'loop' (until
+     *   stopped) or 'hold' (stay on the last frame)
+     * @param {string} [speed] - Speed formula ('f' = frame count)
+     */
+    Game_Picture.prototype.playAtlasAnimation = function(name, mode, speed) {
+        this._atlasAnimation = {
+            name: String(name || ''),
+            mode: CUSTOM_ANIMATION_MODES.includes(mode) ? mode : 'once',
+            speed: String(speed || '').trim(),
+            pattern: 0,
+            count: 0,
+            playing: true
+        };
+    };
+
+    /**
+     * Stop the animation and show its first frame
+     */
+    Game_Picture.prototype.stopAtlasAnimation = function() {
+        const animation = this._atlasAnimation;
+        if (animation) {
+            animation.playing = false;
+            animation.pattern = 0;
+        }
+    };
+
+    /**
+     * Check if an animation is still playing (held animations stop counting
+     * once their last frame is reached)
+     */
+    Game_Picture.prototype.isAtlasAnimationPlaying = function() {
+        return !!this._atlasAnimation && this._atlasAnimation.playing;
+    };
+
+    /**
+     * Get the atlas frame the picture shows
+     * @param {Object} frameData - Parsed frame data of the picture
+     * @returns {Object|null} Frame entry
+     */
+    Game_Picture.prototype.atlasFrame = function(frameData) {
+        const animation = this._atlasAnimation;
+        const frames = animation ? frameData.animations[animation.name] : null;
+        if (frames && frames.length > 0) {
+            return frames[Math.min(animation.pattern, frames.length - 1)];
+        }
+        return frameData.firstFrame;
+    };
+
+    /**
+     * A new image doesn't keep the old image's animation, even when a plugin
+     * shows it on an existing picture (erasing drops the Game_Picture itself)
+     */
+    const _Game_Picture_show = Game_Picture.prototype.show;
+    Game_Picture.prototype.show = function() {
+        _Game_Picture_show.apply(this, arguments);
+        this._atlasAnimation = null;
+    };
+
+    const _Game_Picture_update = Game_Picture.prototype.update;
+    Game_Picture.prototype.update = function() {
+        _Game_Picture_update.call(this);
+        this.updateAtlasAnimation();
+    };
+
+    /**
+     * Advance the animation by the speed formula and frame durations
+     */
+    Game_Picture.prototype.updateAtlasAnimation = function() {
+        const animation = this._atlasAnimation;
+        if (!animation || !animation.playing) return;
+        const frameData = getPictureFrameData(this._name);
+        const frames = frameData ? frameData.animations[animation.name] : null;
+        if (!frames || frames.length === 0) {
+            // No atlas or no such animation: stop, so waiting events continue
+            if (!isPictureJSONLoading(this._name)) {
+                animation.playing = false;
+            }
+            return;
+        }
+
+        const modifier = getPictureSpeedFormula(frameData, animation);
+        const patSpd = modifier ? modifier({ f: frames.length, speed: PICTURE_MOVE_SPEED, dash: 0 }) : 0;
+        const baseWait = (9 - PICTURE_MOVE_SPEED) * 3; // Game_CharacterBase.animationWait
+        const frame = frames[animation.pattern] || frames[0];
+        const wait = Math.max(1, baseWait - patSpd) * (frame.duration / BASE_FRAME_DURATION);
+
+        animation.count++;
+        if (animation.count < wait) return;
+        animation.count = 0;
+
+        const lastFrame = frames.length - 1;
+        if (animation.mode === 'loop') {
+            animation.pattern = (animation.pattern + 1) % frames.length;
+        } else if (animation.pattern < lastFrame) {
+            animation.pattern++;
+        } else if (animation.mode === 'once') {
+            this.stopAtlasAnimation();
+        }
+        if (animation.mode === 'hold' && animation.pattern >= lastFrame) {
+            animation.playing = false;
+        }
+    };
+
+    PluginManager.registerCommand('KurtsAnimationPlugin', 'playPictureAnimation', function(args) {
+        const pictureId = Number(args.pictureId);
+        const picture = $gameScreen.picture(pictureId);
+        if (!picture) return;
+
+        const mode = args.mode || 'loop';
+        picture.playAtlasAnimation(args.animation, mode, args.speed);
+
+        // Looping animations never complete, so they can't be waited on
+        if (args.wait === 'true' && mode !== 'loop') {
+            this._pictureId = pictureId;
+            this.setWaitMode('kurtsPictureAnimation');
+        }
+    });
+
+    PluginManager.registerCommand('KurtsAnimationPlugin', 'stopPictureAnimation', function(args) {
+        const picture = $gameScreen.picture(Number(args.pictureId));
+        if (picture) {
+            picture.stopAtlasAnimation();
+        }
+    });
+
+    /**
+     * Wait for picture animations started with "Wait for Completion"
+     */
+    const _Game_Interpreter_updateWaitMode_picture = Game_Interpreter.prototype.updateWaitMode;
+    Game_Interpreter.prototype.updateWaitMode = function() {
+        if (this._waitMode === 'kurtsPictureAnimation') {
+            const picture = $gameScreen.picture(this._pictureId);
+            if (picture && picture.isAtlasAnimationPlaying()) {
+                return true;
+            }
+            this._waitMode = '';
+            return false;
+        }
+        return _Game_Interpreter_updateWaitMode_picture.call(this);
+    };
+
+    /**
+     * Show one atlas frame of pictures that have a JSON atlas
+     */
+    const _Sprite_Picture_update = Sprite_Picture.prototype.update;
+    Sprite_Picture.prototype.update = function() {
+        _Sprite_Picture_update.call(this);
+        this.updateAtlasFrame();
+        this.updateOverlayTracks();
+    };
+
+    Sprite_Picture.prototype.setJsonFrame = Sprite_Character.prototype.setJsonFrame;
+
+    Sprite_Picture.prototype.updateAtlasFrame = function() {
+        const picture = this.picture();
+        const frameData = picture ? getPictureFrameData(picture.name()) : null;
+        const entry = frameData ? picture.atlasFrame(frameData) : null;
+
+        if (!entry) {
+            if (this._atlasFramed) {
+                this._atlasFramed = false;
+                this.texture.rotate = 0;
+                // A new image resets the frame itself once it loads
+                if (this.bitmap && this.bitmap.isReady()) {
+                    this.setFrame(0, 0, this.bitmap.width, this.bitmap.height);
+                }
+                this._refresh();
+            }
+            // Don't flash the whole sheet while its JSON loads
+            if (picture && isPictureJSONLoading(picture.name())) {
+                this.visible = false;
+            }
+            return;
+        }
+
+        this.setJsonFrame(entry.layout);
+        setPictureFrameAnchor(this, entry, picture.origin());
+        this._atlasFramed = true;
+    };
+
+    /**
+     * Place a frame's source box by the picture's origin (0 = upper left,
+     * 1 = center), so trimmed frames keep their place
+     */
+    function setPictureFrameAnchor(sprite, entry, origin) {
+        const layout = entry.layout;
+        const source = entry.data.sourceSize || { w: layout.width, h: layout.height };
+        const offset = entry.data.spriteSourceSize || { x: 0, y: 0 };
+        const originX = origin === 1 ? source.w / 2 : 0;
+        const originY = origin === 1 ? source.h / 2 : 0;
+        sprite.anchor.x = layout.width > 0 ? (originX - offset.x) / layout.width : 0;
+        sprite.anchor.y = layout.height > 0 ? (originY - offset.y) / layout.height : 0;
+    }
+
+    // ============================================================================
+    // Overlay Tracks
+    // ============================================================================
+
+    const OVERLAY_TRACK_KINDS = ['mouth', 'eyes'];
+
+    // Last frame a message window was printing text
+    let _messageTalkingFrame = -1;
+
+    /**
+     * Check if a message is printing its text (not waiting or paused)
+     */
+    function isMessageTalking() {
+        return _messageTalkingFrame >= Graphics.frameCount - 1;
+    }
+
+    /**
+     * Check if the window is printing text this frame
+     * \. and \| waits, \! pauses and the end of the text don't count
+     */
+    Window_Message.prototype.isPrintingText = function() {
+        return !!this._textState && this.isOpen() && this._waitCount === 0 && !this.pause;
+    };
+
+    const _Window_Message_update = Window_Message.prototype.update;
+    Window_Message.prototype.update = function() {
+        _Window_Message_update.call(this);
+        if (this.isPrintingText()) {
+            _messageTalkingFrame = Graphics.frameCount;
+        }
+    };
+
+    /**
+     * Mouth and eyes animations drawn over the picture or character
+     * @returns {Object} { mouth, eyes } animation names ('' = off)
+     */
+    Game_Picture.prototype.overlayTracks = function() {
+        return this._overlayTracks || { mouth: MOUTH_TRACK, eyes: EYES_TRACK };
+    };
+
+    /**
+     * Choose the mouth and eyes animations ('' = no track)
+     */
+    Game_Picture.prototype.setOverlayTracks = function(mouth, eyes) {
+        this._overlayTracks = { mouth: String(mouth || '').trim(), eyes: String(eyes || '').trim() };
+    };
+
+    Game_CharacterBase.prototype.overlayTracks = Game_Picture.prototype.overlayTracks;
+    Game_CharacterBase.prototype.setOverlayTracks = Game_Picture.prototype.setOverlayTracks;
+
+    PluginManager.registerCommand('KurtsAnimationPlugin', 'setOverlayTracks', function(args) {
+        const owner = args.target === 'character'
+            ? this.character(Number(args.characterId))
+            : $gameScreen.picture(Number(args.pictureId));
+        if (owner) {
+            owner.setOverlayTracks(args.mouth, args.eyes);
+        }
+    });
+
+    /**
+     * Get (and create when needed) the overlay track sprite of a kind
+     */
+    function getOverlayTrackSprite(parent, kind, create) {
+        parent._overlayTrackSprites = parent._overlayTrackSprites || {};
+        if (!parent._overlayTrackSprites[kind] && create) {
+            parent._overlayTrackSprites[kind] = new Sprite_OverlayTrack(kind);
+            parent.addChild(parent._overlayTrackSprites[kind]);
+        }
+        return parent._overlayTrackSprites[kind] || null;
+    }
+
+    //-----------------------------------------------------------------------------
+    // Sprite_OverlayTrack
+    //
+    // A mouth or eyes animation from the parent's atlas drawn over it.
+
+    function Sprite_OverlayTrack() {
+        this.initialize(...arguments);
     }
 
+    Sprite_OverlayTrack.prototype = Object.create(Sprite.prototype);
+    Sprite_OverlayTrack.prototype.constructor = Sprite_OverlayTrack;
+
+    Sprite_OverlayTrack.prototype.initialize = function(kind) {
+        Sprite.prototype.initialize.call(this);
+        this._kind = kind;
+        this._animKey = null;
+        this._pattern = 0;
+        this._count = 0;
+        this._blinkWait = this.randomBlinkWait();
+    };
+
+    Sprite_OverlayTrack.prototype.setJsonFrame = Sprite_Character.prototype.setJsonFrame;
+
+    Sprite_OverlayTrack.prototype.randomBlinkWait = function() {
+        return BLINK_INTERVAL_MIN + Math.randomInt(BLINK_INTERVAL_MAX - BLINK_INTERVAL_MIN + 1);
+    };
+
     /**
-     * Override Sprite_Character.setCharacterBitmap
+     * Advance the track and get the frame to draw
+     * @param {Bitmap} bitmap - The parent's atlas image
+     * @param {Array|null} frames - Frames of the track's animation
+     * @param {string|null} animKey - Animation key of the frames
+     * @returns {Object|null} Frame entry, or null when hidden
      */
-    const _Sprite_Character_setCharacterBitmap = Sprite_Character.prototype.setCharacterBitmap;
-    Sprite_Character.prototype.setCharacterBitmap = function() {
-        _Sprite_Character_setCharacterBitmap.call(this);
-        
-        // Check if this character uses JSON frames
-        if (this._characterName && this._characterName.startsWith('$')) {
-            this._usesJsonFrames = true;
-            this._jsonFrameData = parseFrameData(this._characterName);
-        } else {
-            this._usesJsonFrames = false;
-            this._jsonFrameData = null;
+    Sprite_OverlayTrack.prototype.updateTrack = function(bitmap, frames, animKey) {
+        if (!frames || frames.length === 0) {
+            this.visible = false;
+            return null;
+        }
+        if (this.bitmap !== bitmap) {
+            this.bitmap = bitmap;
         }
+        if (this._animKey !== animKey) {
+            this._animKey = animKey;
+            this._pattern = 0;
+            this._count = 0;
+        }
+        this.updatePattern(frames);
+        this.visible = true;
+        return frames[Math.min(this._pattern, frames.length - 1)];
     };
 
     /**
-     * Override Sprite_Character.updateCharacterFrame
+     * Mouths cycle while text prints and close when it stops; eyes play
+     * once after a random wait. Frames last their JSON duration.
      */
-    const _Sprite_Character_updateCharacterFrame = Sprite_Character.prototype.updateCharacterFrame;
-    Sprite_Character.prototype.updateCharacterFrame = function() {
-        if (this._usesJsonFrames && this._jsonFrameData) {
-            const frame = getCurrentFrame(this._character, this._characterName);
-            
-            if (frame && frame.frame) {
-                // Use frame coordinates from JSON
-                const frameRect = frame.frame;
-                const sx = frameRect.x;
-                const sy = frameRect.y;
-                const pw = frameRect.w;
-                const ph = frameRect.h;
-                
-                this.updateHalfBodySprites();
-                if (this._bushDepth > 0) {
-                    const d = this._bushDepth;
-                    this._upperBody.setFrame(sx, sy, pw, ph - d);
-                    this._lowerBody.setFrame(sx, sy + ph - d, pw, d);
-                    this.setFrame(sx, sy, 0, ph);
-                } else {
-                    this.setFrame(sx, sy, pw, ph);
-                }
-            } else {
-                // Fallback to default behavior
-                _Sprite_Character_updateCharacterFrame.call(this);
+    Sprite_OverlayTrack.prototype.updatePattern = function(frames) {
+        let active;
+        if (this._kind === 'mouth') {
+            active = isMessageTalking();
+        } else {
+            active = this._blinkWait <= 0;
+            if (!active) {
+                this._blinkWait--;
             }
+        }
+        if (!active) {
+            this._pattern = 0;
+            this._count = 0;
+            return;
+        }
+
+        const frame = frames[this._pattern] || frames[0];
+        this._count++;
+        if (this._count < frame.duration * 60 / 1000) return;
+        this._count = 0;
+
+        if (this._kind === 'mouth') {
+            this._pattern = (this._pattern + 1) % frames.length;
+        } else if (this._pattern < frames.length - 1) {
+            this._pattern++;
         } else {
-            // Default behavior for non-JSON characters
-            _Sprite_Character_updateCharacterFrame.call(this);
+            this._pattern = 0;
+            this._blinkWait = this.randomBlinkWait();
         }
     };
-    
 
     /**
-     * Store last animation key to detect animation changes
+     * Draw the overlay tracks of pictures with a JSON atlas
      */
-    Game_CharacterBase.prototype._lastJsonAnimKey = null;
+    Sprite_Picture.prototype.updateOverlayTracks = function() {
+        const picture = this.picture();
+        const frameData = picture && this._atlasFramed ? getPictureFrameData(picture.name()) : null;
+        const names = frameData ? picture.overlayTracks() : null;
+        for (const kind of OVERLAY_TRACK_KINDS) {
+            const animKey = names ? names[kind] : null;
+            const frames = animKey ? frameData.animations[animKey] : null;
+            const track = getOverlayTrackSprite(this, kind, !!frames);
+            if (!track) continue;
+            const entry = track.updateTrack(this.bitmap, frames, animKey);
+            if (entry) {
+                track.setJsonFrame(entry.layout);
+                setPictureFrameAnchor(track, entry, picture.origin());
+            }
+        }
+    };
 
     /**
-     * Helper function to switch to a new animation
-     * Resets pattern and updates all tracking variables
+     * Draw the overlay tracks of JSON characters, per direction when the
+     * atlas has them (mouthDown) and flipped like the body
      */
-    function switchToAnimation(character, animKey, animation) {
-        if (character._lastJsonAnimKey !== animKey) {
-            // Animation changed - reset everything
-            character._pattern = 0;
-            character._lastJsonAnimKey = animKey;
-            
-            if (animation && animation.length > 0) {
-                character._jsonFrameCount = animation.length;
-                character._jsonAnimKey = animKey;
-                
-                // Calculate speed modifier
-                const modifier = SPEED_MODIFIERS[animKey];
-                if (modifier) {
-                    const f = animation.length;
-                    try {
-                        character._jsonPatSpd = eval(modifier);
-                    } catch (e) {
-                        character._jsonPatSpd = 0;
-                    }
-                } else {
-                    character._jsonPatSpd = 0;
-                }
+    Sprite_Character.prototype.updateOverlayTracks = function() {
+        const character = this._character;
+        const frameData = character && this._usesJsonFrames ? getCharacterFrameData(character) : null;
+        const names = frameData ? character.overlayTracks() : null;
+        for (const kind of OVERLAY_TRACK_KINDS) {
+            let animKey = null;
+            let frames = null;
+            if (names && names[kind]) {
+                const animations = getAnimations(character, frameData);
+                const directionalKey = resolveDirectionalKey(frameData, names[kind], character);
+                animKey = animations[directionalKey] ? directionalKey : names[kind];
+                frames = animations[animKey] || null;
+            }
+            const track = getOverlayTrackSprite(this, kind, !!frames);
+            if (!track) continue;
+            const entry = track.updateTrack(this.bitmap, frames, animKey);
+            if (entry) {
+                track.setJsonFrame(this.offsetJsonLayout(entry.layout));
+                // The body's flip applies to its children too
+                track.scale.x = !!entry.mirror !== !!this._jsonMirror ? -1 : 1;
             }
         }
+    };
+
+    const _Sprite_Character_update = Sprite_Character.prototype.update;
+    Sprite_Character.prototype.update = function() {
+        _Sprite_Character_update.call(this);
+        this.updateOverlayTracks();
+    };
+
+    // ============================================================================
+    // Atlas Validation
+    // ============================================================================
+
+    // Atlases waiting for their JSON and image, and atlases already checked
+    const _pendingValidations = [];
+    const _validatedAtlases = {};
+
+    // Reported problems, listed by the overlay
+    const _atlasIssues = [];
+
+    const CARDINAL_NAMES = ['Up', 'Down', 'Left', 'Right'];
+
+    /**
+     * Check an atlas once its JSON and image are loaded (test play only)
+     */
+    function queueAtlasValidation(characterName) {
+        if (!VALIDATE_ATLASES || !Utils.isOptionValid('test')) return;
+        if (!characterName || _validatedAtlases[characterName]) return;
+        _validatedAtlases[characterName] = true;
+        _pendingValidations.push(characterName);
     }
 
     /**
-     * Override Game_CharacterBase.updatePattern to handle variable frame counts
-     * Following GALV's approach: handle moving animations, let default handle stopped
+     * Validate queued atlases whose JSON and image have loaded
      */
-    const _Game_CharacterBase_updatePattern = Game_CharacterBase.prototype.updatePattern;
-    Game_CharacterBase.prototype.updatePattern = function() {
-        // Check if character uses JSON frames
-        let characterName = null;
-        try {
-            characterName = this.characterName ? this.characterName() : null;
-        } catch (e) {
-            // characterName() might not exist in all contexts
-        }
-        
-        if (characterName && characterName.startsWith('$')) {
-            const frameData = parseFrameData(characterName);
-            
-            if (frameData) {
-                // Get current animation type and direction
-                const animType = getAnimationType(this);
-                const direction = getDirectionName(this.direction());
-                const animKey = animType + direction;
-                const animation = frameData.animations[animKey];
-                
-                if (animation && animation.length > 0) {
-                    // Switch to animation (resets pattern if animation changed)
-                    switchToAnimation(this, animKey, animation);
-                    
-                    // Ensure pattern is initialized and valid
-                    if (this._pattern === undefined || this._pattern === null || this._pattern < 0) {
-                        this._pattern = 0;
-                    }
-                    
-                    // Ensure pattern is within bounds
-                    if (this._pattern >= animation.length) {
-                        this._pattern = this._pattern % animation.length;
-                    }
-                    
-                    // For idle animations, keep pattern at 0 (first frame)
-                    // For walk/run animations, cycle through frames
-                    if (animType === 'idle') {
-                        this._pattern = 0;
-                    } else {
-                        // Cycle through animation frames: 0 -> 1 -> 2 -> ... -> (N-1) -> 0
-                        this._pattern = (this._pattern + 1) % animation.length;
-                    }
-                    
-                    return;
-                } else {
-                    // Animation doesn't exist, reset tracking and use default
-                    this._lastJsonAnimKey = null;
-                }
+    function updateAtlasValidation() {
+        for (let i = _pendingValidations.length - 1; i >= 0; i--) {
+            const characterName = _pendingValidations[i];
+            const entries = requestCharacterJSON(characterName);
+            const bitmap = ImageManager.loadCharacter(characterName);
+            if (entries.some(entry => entry.state === 'loading') || !bitmap.isReady()) {
+                continue;
+            }
+            _pendingValidations.splice(i, 1);
+            const jsonData = entries[0] && entries[0].data;
+            if (jsonData && jsonData.frames) {
+                reportAtlasIssues(characterName, getAtlasIssues(characterName, jsonData, bitmap));
             }
-        } else {
-            // Not a JSON character, reset tracking
-            this._lastJsonAnimKey = null;
         }
-        
-        // Default behavior for non-JSON characters or when JSON animation doesn't exist
-        _Game_CharacterBase_updatePattern.call(this);
-    };
+    }
 
     /**
-     * Override Game_CharacterBase.pattern to handle variable frame counts
+     * Log an atlas's problems and keep them for the overlay
      */
-    const _Game_CharacterBase_pattern = Game_CharacterBase.prototype.pattern;
-    Game_CharacterBase.prototype.pattern = function() {
-        let characterName = null;
-        try {
-            characterName = this.characterName ? this.characterName() : null;
-        } catch (e) {
-            // characterName() might not exist in all contexts
+    function reportAtlasIssues(characterName, issues) {
+        if (issues.length === 0) return;
+        console.warn('[KurtsAnimationPlugin] ' + getCharacterJSONPath(characterName) + ':\n  ' + issues.join('\n  '));
+        _atlasIssues.push(characterName + '.json');
+        for (const issue of issues) {
+            _atlasIssues.push('  ' + issue);
         }
-        
-        if (characterName && characterName.startsWith('$')) {
-            const frameData = parseFrameData(characterName);
-            
-            if (frameData) {
-                const animType = getAnimationType(this);
-                const direction = getDirectionName(this.direction());
-                const animKey = animType + direction;
-                const animation = frameData.animations[animKey];
-                
-                if (animation && animation.length > 0) {
-                    // Switch to animation (resets pattern if animation changed)
-                    switchToAnimation(this, animKey, animation);
-                    
-                    // Return pattern within animation frame count
-                    return this._pattern < animation.length ? this._pattern : 0;
+    }
+
+    /**
+     * Collect the problems of an atlas
+     * @returns {Array<string>} Problem descriptions
+     */
+    function getAtlasIssues(characterName, jsonData, bitmap) {
+        const issues = [];
+        const allFrames = getFrameList(jsonData);
+        const indexed = allFrames.some(frame => /^\d+\//.test(frame.name));
+        const indices = indexed
+            ? Array.from(new Set(allFrames.map(frame => Number((frame.name.match(/^(\d+)\//) || [])[1])).filter(n => !isNaN(n))))
+            : [0];
+
+        const used = {};
+        for (const index of indices) {
+            const frameData = parseFrameData(characterName, index);
+            if (!frameData) continue;
+            const prefix = indexed ? index + '/' : '';
+            const frames = allFrames
+                .filter(frame => frame.name.startsWith(prefix))
+                .map(frame => ({ name: frame.name.slice(prefix.length), data: frame.data }));
+            for (const animKey of Object.keys(frameData.animations)) {
+                for (const entry of frameData.animations[animKey]) {
+                    used[entry.name] = true;
+                    used[prefix + entry.name] = true;
                 }
             }
+            checkMissingDirections(frameData, prefix, issues);
+            checkIndexGaps(frames, prefix, issues);
+            checkFrameSizes(frameData, prefix, issues);
         }
-        
-        // Default behavior
-        return _Game_CharacterBase_pattern.call(this);
-    };
+        checkFrameBounds(allFrames, bitmap, issues);
+
+        const unused = allFrames.filter(frame => !used[frame.name]).map(frame => frame.name);
+        if (unused.length > 0) {
+            issues.push('unused frames: ' + unused.join(', '));
+        }
+        return issues;
+    }
 
     /**
-     * Override Game_CharacterBase.resetPattern
+     * Report cardinal directions missing from animations that have some
+     * (walkUp missing when walkDown exists); mirrored sides count as present
      */
-    const _Game_CharacterBase_resetPattern = Game_CharacterBase.prototype.resetPattern;
-    Game_CharacterBase.prototype.resetPattern = function() {
-        let characterName = null;
-        try {
-            characterName = this.characterName ? this.characterName() : null;
-        } catch (e) {
-            // characterName() might not exist in all contexts
+    function checkMissingDirections(frameData, prefix, issues) {
+        const animations = frameData.animations;
+        const mirror = frameData.config && frameData.config.mirror !== undefined ? frameData.config.mirror : AUTO_MIRROR;
+        const groups = {};
+        for (const animKey of Object.keys(animations)) {
+            // The last direction is the facing (pickUpDown = pickUp + Down)
+            const match = animKey.match(/^(.*)(Up|Down|Left|Right)(.*)$/);
+            if (!match || /Up|Down|Left|Right/.test(match[3])) continue;
+            const [, type, direction, suffix] = match;
+            // Diagonal sets (idleUpLeft) of a type with cardinal sets are optional
+            const diagonal = type.match(/^(.*)(Up|Down)$/);
+            if (diagonal && /Left|Right/.test(direction) &&
+                CARDINAL_NAMES.some(name => animations[diagonal[1] + name + suffix])) {
+                continue;
+            }
+            const group = type + '|' + suffix;
+            groups[group] = groups[group] || { type: type, suffix: suffix, directions: [] };
+            groups[group].directions.push(direction);
         }
-        
-        if (characterName && characterName.startsWith('$')) {
-            const frameData = parseFrameData(characterName);
-            
-            if (frameData) {
-                // Reset to first frame (pattern 0)
-                this._pattern = 0;
-                this._lastJsonAnimKey = null; // Reset animation tracking
-                return;
+
+        for (const group of Object.values(groups)) {
+            const has = name => group.directions.includes(name) ||
+                (mirror && /Left|Right/.test(name) && group.directions.includes(swapSides(name)));
+            const missing = CARDINAL_NAMES.filter(name => !has(name));
+            if (missing.length > 0) {
+                issues.push('missing directions: ' + missing.map(name => prefix + group.type + name + group.suffix).join(', '));
             }
         }
-        
-        // Default behavior
-        _Game_CharacterBase_resetPattern.call(this);
-    };
+    }
 
     /**
-     * Override Game_CharacterBase.animationWait to apply speed modifiers
-     * Following GALV's approach: subtract speed modifier from default wait time
+     * Report gaps in numbered frames (frames after a gap are ignored)
      */
-    const _Game_CharacterBase_animationWait = Game_CharacterBase.prototype.animationWait;
-    Game_CharacterBase.prototype.animationWait = function() {
-        let characterName = null;
-        try {
-            characterName = this.characterName ? this.characterName() : null;
-        } catch (e) {
-            // characterName() might not exist in all contexts
+    function checkIndexGaps(frames, prefix, issues) {
+        const numbers = {};
+        for (const frame of frames) {
+            const match = frame.name.match(/^(.*?)(\d+)$/);
+            if (match) {
+                numbers[match[1]] = numbers[match[1]] || [];
+                numbers[match[1]].push(Number(match[2]));
+            }
         }
-        
-        if (characterName && characterName.startsWith('$') && this._jsonPatSpd !== undefined && this._jsonPatSpd !== null) {
-            const baseWait = _Game_CharacterBase_animationWait.call(this);
-            const newWait = Math.max(1, baseWait - this._jsonPatSpd); // Ensure minimum of 1
-            return newWait;
+        for (const animKey of Object.keys(numbers)) {
+            const present = numbers[animKey];
+            let gap = 0;
+            while (present.includes(gap)) {
+                gap++;
+            }
+            const ignored = present.filter(n => n > gap).sort((a, b) => a - b);
+            if (ignored.length > 0) {
+                issues.push(prefix + animKey + ': no frame ' + gap + ', ' +
+                    ignored.map(n => animKey + n).join(', ') + ' ignored');
+            }
         }
-        
-        return _Game_CharacterBase_animationWait.call(this);
-    };
+    }
 
     /**
-     * Override Game_CharacterBase.update to reset pattern when truly stopped
+     * Report animations whose frames have different (source) sizes
      */
-    const _Game_CharacterBase_update = Game_CharacterBase.prototype.update;
-    Game_CharacterBase.prototype.update = function() {
-        _Game_CharacterBase_update.call(this);
-        
-        // Check if character uses JSON frames
-        let characterName = null;
-        try {
-            characterName = this.characterName ? this.characterName() : null;
-        } catch (e) {
-            // characterName() might not exist in all contexts
-        }
-        
-        if (characterName && characterName.startsWith('$')) {
-            const frameData = parseFrameData(characterName);
-            
-            if (frameData) {
-                // Only reset to idle when character just stopped moving
-                // Use justStoppedMoving() for edge detection (fires exactly once)
-                if (this.justStoppedMoving()) {
-                    // Set flag to force idle until actually moving again
-                    this._forceIdleUntilMoving = true;
-                    
-                    // Immediately switch to idle animation for current direction
-                    const direction = getDirectionName(this.direction());
-                    const idleKey = 'idle' + direction;
-                    const idleAnimation = frameData.animations[idleKey];
-                    
-                    if (idleAnimation && idleAnimation.length > 0) {
-                        // Force switch to idle animation (resets pattern to 0)
-                        this._lastJsonAnimKey = null; // Force animation change detection
-                        switchToAnimation(this, idleKey, idleAnimation);
-                    } else {
-                        // No idle animation, reset everything
-                        this._pattern = 0;
-                        this._lastJsonAnimKey = null;
-                        this._jsonFrameCount = null;
-                        this._jsonAnimKey = null;
-                        this._jsonPatSpd = 0;
-                    }
+    function checkFrameSizes(frameData, prefix, issues) {
+        for (const animKey of Object.keys(frameData.animations)) {
+            const sizes = [];
+            for (const entry of frameData.animations[animKey]) {
+                const data = entry.data;
+                const size = data.sourceSize || (data.frame ? { w: data.frame.w, h: data.frame.h } : null);
+                const text = size ? size.w + 'x' + size.h : '';
+                if (text && !sizes.includes(text)) {
+                    sizes.push(text);
                 }
             }
+            if (sizes.length > 1) {
+                issues.push(prefix + animKey + ': frame sizes differ (' + sizes.join(', ') + ')');
+            }
+        }
+    }
+
+    /**
+     * Report frame rectangles outside the image
+     */
+    function checkFrameBounds(frames, bitmap, issues) {
+        for (const frame of frames) {
+            const rect = frame.data.frame;
+            if (!rect) continue;
+            // Rotated frames occupy a w/h-swapped region of the atlas
+            const width = frame.data.rotated ? rect.h : rect.w;
+            const height = frame.data.rotated ? rect.w : rect.h;
+            if (rect.x < 0 || rect.y < 0 || rect.x + width > bitmap.width || rect.y + height > bitmap.height) {
+                issues.push(frame.name + ': rect ' + rect.x + ',' + rect.y + ' ' + width + 'x' + height +
+                    ' is outside the ' + bitmap.width + 'x' + bitmap.height + ' image');
+            }
+        }
+    }
+
+    /**
+     * Queue the actors' atlases at boot
+     */
+    const _Scene_Boot_start = Scene_Boot.prototype.start;
+    Scene_Boot.prototype.start = function() {
+        _Scene_Boot_start.call(this);
+        for (const actor of $dataActors) {
+            if (!actor) continue;
+            const config = parseNoteConfig(actor.note, 'Actor ' + actor.id);
+            const noted = config ? config.json : undefined;
+            if (noted !== undefined ? noted : isJsonCharacterName(actor.characterName)) {
+                queueAtlasValidation(actor.characterName);
+            }
+        }
+    };
+
+    const _Scene_Base_update = Scene_Base.prototype.update;
+    Scene_Base.prototype.update = function() {
+        _Scene_Base_update.call(this);
+        if (_pendingValidations.length > 0) {
+            updateAtlasValidation();
+        }
+    };
+
+    //-----------------------------------------------------------------------------
+    // Sprite_AtlasReport
+    //
+    // On-screen list of atlas problems in test play.
+
+    function Sprite_AtlasReport() {
+        this.initialize(...arguments);
+    }
+
+    Sprite_AtlasReport.prototype = Object.create(Sprite.prototype);
+    Sprite_AtlasReport.prototype.constructor = Sprite_AtlasReport;
+
+    Sprite_AtlasReport.SHOW_FRAMES = 600;
+    Sprite_AtlasReport.LINE_HEIGHT = 18;
+
+    Sprite_AtlasReport.prototype.initialize = function() {
+        Sprite.prototype.initialize.call(this, new Bitmap(Graphics.width, Graphics.height));
+        this._lineCount = 0;
+        this._showCount = 0;
+        this.visible = false;
+    };
+
+    Sprite_AtlasReport.prototype.update = function() {
+        Sprite.prototype.update.call(this);
+        if (this._lineCount !== _atlasIssues.length) {
+            this._lineCount = _atlasIssues.length;
+            this._showCount = Sprite_AtlasReport.SHOW_FRAMES;
+            this.refresh();
+        }
+        if (this._showCount > 0) {
+            this._showCount--;
+        }
+        this.visible = this._showCount > 0;
+    };
+
+    Sprite_AtlasReport.prototype.refresh = function() {
+        const bitmap = this.bitmap;
+        const lineHeight = Sprite_AtlasReport.LINE_HEIGHT;
+        const maxLines = Math.floor((bitmap.height - 16) / lineHeight);
+        let lines = _atlasIssues;
+        if (lines.length > maxLines) {
+            lines = lines.slice(0, maxLines - 1).concat(['... ' + (lines.length - maxLines + 1) + ' more (see console)']);
+        }
+        bitmap.clear();
+        bitmap.fillRect(0, 0, bitmap.width, lines.length * lineHeight + 16, 'rgba(0, 0, 0, 0.7)');
+        bitmap.fontSize = 14;
+        lines.forEach((line, index) => {
+            bitmap.drawText(line, 8, 8 + index * lineHeight, bitmap.width - 16, lineHeight);
+        });
+    };
+
+    const _Scene_Map_createDisplayObjects = Scene_Map.prototype.createDisplayObjects;
+    Scene_Map.prototype.createDisplayObjects = function() {
+        _Scene_Map_createDisplayObjects.call(this);
+        if (VALIDATION_OVERLAY && VALIDATE_ATLASES && Utils.isOptionValid('test')) {
+            this._atlasReportSprite = new Sprite_AtlasReport();
+            this.addChild(this._atlasReportSprite);
         }
     };
 
@@ -518,7 +518,11 @@
         // sprite.y is at bottom (feet), sprite.height is full height
         // So top is: sprite.y - sprite.height
         const topY = playerSprite.y - playerSprite.height;
-        this._interactIcon._baseY = topY + ICON_OFFSET_Y;
+        // Match KurtsPerpectivePlugin's scale when it is installed
+        const scale = playerSprite.perspectiveScale ? playerSprite.perspectiveScale() : 1;
+        this._interactIcon.scale.x = scale;
+        this._interactIcon.scale.y = scale;
+        this._interactIcon._baseY = topY + ICON_OFFSET_Y * scale;
         
         // Always center horizontally on sprite
         this._interactIcon.x = playerSprite.x;
@@ -41,6 +41,30 @@
  * @type boolean
  * @default false
  *
+ * @param Depth Curves
+ * @text Depth Curves
+ * @desc Named curves of (Y %, scale) keypoints with optional smoothing. Replace Min/Max/Control Point when used.
+ * @type struct<DepthCurve>[]
+ * @default []
+ *
+ * @param Depth Curve
+ * @text Default Depth Curve
+ * @desc Name of the depth curve used on every map. Empty = use Min Scale, Max Scale and the control point.
+ * @type string
+ * @default
+ *
+ * @param Exempt Tile Events
+ * @text Exempt Tile Events
+ * @desc Events whose image is a tile keep their normal size unless they have a perspective notetag.
+ * @type boolean
+ * @default true
+ *
+ * @param Depth Zones
+ * @text Depth Zones
+ * @desc Regions that form depth bands (platforms, stairs) with their own scale range.
+ * @type struct<DepthZone>[]
+ * @default []
+ *
  * @help
  * ============================================================================
  * Kurts Perspective Plugin
@@ -59,8 +83,124 @@
  *   - Bottom half (50-100%): scales from 0.5 to 1.0 (slower change)
  * Set Control Point Y to -1 to disable and use simple linear scaling.
  *
+ * DEPTH CURVES:
+ * -------------
+ * For more control, add named curves in Depth Curves: a list of keypoints
+ * (Y %, scale) and a smoothing mode:
+ * - linear:      straight lines between the keypoints
+ * - catmullRom:  a smooth curve through every keypoint
+ * - bezier:      the keypoints are the control points of a Bezier curve
+ *                (4 keypoints = cubic); it passes the first and last only
+ * - exponential: each segment eases in by Exponent (negative = eases out)
+ * Above the first and below the last keypoint the scale stays constant.
+ * Pick the curve for every map with Default Depth Curve, or per map with
+ * the curve key of the map notetag.
+ *
+ * DEPTH ZONES:
+ * ------------
+ * Map-percentage scaling breaks on raised platforms and staircases. Paint
+ * such areas with a region and add it to Depth Zones with its own scale
+ * range: on each map the zone's band runs from the topmost to the bottommost
+ * row painted with the region, scaling from the zone's Min Scale (top row)
+ * to its Max Scale (bottom row). Tiles without a zone region use the normal
+ * curve. While a character walks across a band boundary the scale blends
+ * between the tiles with its position, so stairs don't pop the sprite size.
+ *
+ * MAP NOTETAGS:
+ * -------------
+ * Override the parameters for one map in its note:
+ *   <perspective:min=0.8,max=1.05,cp=40:0.9>
+ * - min / max: Min Scale / Max Scale
+ * - cp: Control Point Y (%) and Control Point Scale; cp=-1 disables the
+ *   control point
+ * - curve: name of a depth curve (curve=none = use min/max/cp)
+ * Keys left out use the plugin parameters. Turn perspective off on a map
+ * (characters keep their normal size) with:
+ *   <perspective:off>
+ *
+ * EVENT NOTETAGS:
+ * ---------------
+ * <noPerspective>            Keep the event's normal size (small objects)
+ * <perspectiveMultiplier:x>  Strength of the effect on the event: 0 = none,
+ *                            0.5 = half, 1 = normal, 2 = double (set pieces)
+ * <perspectiveAnchorY:n>     Scale as if standing on map row n (objects
+ *                            hanging on a wall)
+ * Events with a tile image are exempt by default (Exempt Tile Events);
+ * <perspectiveMultiplier> or <perspectiveAnchorY> opts them back in.
+ *
+ * ATTACHED SPRITES:
+ * -----------------
+ * Balloon icons, animations played on a character and the airship shadow
+ * are scaled with the character. Other plugins can read the scale from the
+ * character's sprite with sprite.perspectiveScale() (1 = normal size).
+ *
  * ============================================================================
  */
+/*~struct~DepthCurve:
+ * @param Name
+ * @text Name
+ * @desc Name used by Default Depth Curve and <perspective:curve=Name>.
+ * @default hallway
+ *
+ * @param Points
+ * @text Keypoints
+ * @desc Y positions (%) and the scale there.
+ * @type struct<DepthPoint>[]
+ * @default ["{\"Y\":\"0\",\"Scale\":\"0.9\"}","{\"Y\":\"100\",\"Scale\":\"1.05\"}"]
+ *
+ * @param Smoothing
+ * @text Smoothing
+ * @desc How the scale changes between keypoints.
+ * @type select
+ * @option linear
+ * @option catmullRom
+ * @option bezier
+ * @option exponential
+ * @default linear
+ *
+ * @param Exponent
+ * @text Exponent
+ * @desc Falloff strength of exponential smoothing. Negative values ease out.
+ * @type number
+ * @decimals 2
+ * @min -20
+ * @default 2
+ */
+/*~struct~DepthZone:
+ * @param Region ID
+ * @text Region ID
+ * @type number
+ * @min 1
+ * @max 255
+ * @default 1
+ *
+ * @param Min Scale
+ * @text Min Scale (Top of Band)
+ * @type number
+ * @decimals 3
+ * @default 1.0
+ *
+ * @param Max Scale
+ * @text Max Scale (Bottom of Band)
+ * @type number
+ * @decimals 3
+ * @default 1.0
+ */
+/*~struct~DepthPoint:
+ * @param Y
+ * @text Y Position (%)
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @max 100
+ * @default 0
+ *
+ * @param Scale
+ * @text Scale
+ * @type number
+ * @decimals 3
+ * @default 1.0
+ */
 
 (() => {
     'use strict';
@@ -71,46 +211,350 @@
     const CONTROL_POINT_Y = Number(parameters['Control Point Y']) || -1;
     const CONTROL_POINT_SCALE = Number(parameters['Control Point Scale']) || 1.0;
     const USE_SCREEN_BASED = parameters['Use Screen Based'] === 'true';
+    const EXEMPT_TILE_EVENTS = parameters['Exempt Tile Events'] !== 'false';
+
+    // Depth curves by name: { points: [{ t, scale }], smoothing, exponent }
+    const DEPTH_CURVES = {};
+    for (const json of JSON.parse(parameters['Depth Curves'] || '[]')) {
+        const curve = JSON.parse(json);
+        const name = String(curve['Name'] || '').trim();
+        if (!name) continue;
+        DEPTH_CURVES[name] = {
+            points: JSON.parse(curve['Points'] || '[]')
+                .map(point => JSON.parse(point))
+                .map(point => ({ t: Number(point['Y']) / 100, scale: Number(point['Scale']) }))
+                .filter(point => !isNaN(point.t) && !isNaN(point.scale))
+                .sort((a, b) => a.t - b.t),
+            smoothing: curve['Smoothing'] || 'linear',
+            exponent: curve['Exponent'] !== undefined && curve['Exponent'] !== '' ? Number(curve['Exponent']) : 2
+        };
+    }
+    const DEPTH_CURVE = String(parameters['Depth Curve'] || '').trim();
+
+    // Depth zones: { regionId, minScale, maxScale }
+    const DEPTH_ZONES = JSON.parse(parameters['Depth Zones'] || '[]').map(json => {
+        const zone = JSON.parse(json);
+        return {
+            regionId: Number(zone['Region ID']) || 0,
+            minScale: Number(zone['Min Scale']),
+            maxScale: Number(zone['Max Scale'])
+        };
+    }).filter(zone => zone.regionId > 0 && !isNaN(zone.minScale) && !isNaN(zone.maxScale));
+
+    /**
+     * Find a depth curve by name (null = none or unknown)
+     */
+    function getDepthCurve(name) {
+        if (!name || name.toLowerCase() === 'none') return null;
+        if (!DEPTH_CURVES[name]) {
+            console.warn('[KurtsPerpectivePlugin] Unknown depth curve:', name);
+            return null;
+        }
+        return DEPTH_CURVES[name];
+    }
+
+    const DEFAULT_SETTINGS = {
+        enabled: true,
+        minScale: MIN_SCALE,
+        maxScale: MAX_SCALE,
+        controlPointY: CONTROL_POINT_Y,
+        controlPointScale: CONTROL_POINT_SCALE,
+        curve: getDepthCurve(DEPTH_CURVE)
+    };
 
-    const USE_CONTROL_POINT = CONTROL_POINT_Y >= 0 && CONTROL_POINT_Y <= 100;
-    const CONTROL_POINT_T = USE_CONTROL_POINT ? CONTROL_POINT_Y / 100 : 0;
+    /**
+     * Read <perspective:...> from a map note; missing keys use the parameters
+     * e.g. <perspective:min=0.8,max=1.05,cp=40:0.9> or <perspective:off>
+     */
+    function parseMapSettings(note) {
+        const settings = Object.assign({}, DEFAULT_SETTINGS);
+        const match = /<perspective:([^>]*)>/i.exec(note || '');
+        if (!match) return settings;
+
+        for (const entry of match[1].split(',')) {
+            const [key, value] = entry.split('=').map(part => part.trim());
+            const lowerKey = key.toLowerCase();
+            if (lowerKey === 'off' || lowerKey === 'false') {
+                settings.enabled = false;
+            } else if (lowerKey === 'min' && !isNaN(Number(value))) {
+                settings.minScale = Number(value);
+            } else if (lowerKey === 'max' && !isNaN(Number(value))) {
+                settings.maxScale = Number(value);
+            } else if (lowerKey === 'cp' && value !== undefined) {
+                const [y, scale] = value.split(':').map(Number);
+                if (!isNaN(y)) settings.controlPointY = y;
+                if (!isNaN(scale)) settings.controlPointScale = scale;
+            } else if (lowerKey === 'curve') {
+                settings.curve = getDepthCurve(value);
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Find the rows each depth zone covers on a map
+     * @returns {Object} Bands by region ID: { minScale, maxScale, top, bottom }
+     */
+    function findZoneBands(map) {
+        const bands = {};
+        if (DEPTH_ZONES.length === 0) return bands;
+
+        const zones = {};
+        for (const zone of DEPTH_ZONES) {
+            zones[zone.regionId] = zone;
+        }
+        for (let y = 0; y < map.height(); y++) {
+            for (let x = 0; x < map.width(); x++) {
+                const zone = zones[map.regionId(x, y)];
+                if (!zone) continue;
+                const band = bands[zone.regionId];
+                if (band) {
+                    band.top = Math.min(band.top, y);
+                    band.bottom = Math.max(band.bottom, y);
+                } else {
+                    bands[zone.regionId] = { minScale: zone.minScale, maxScale: zone.maxScale, top: y, bottom: y };
+                }
+            }
+        }
+        return bands;
+    }
+
+    // Settings of the current map and the $dataMap they were read from
+    // Kept out of $gameMap (and save files), so they are rebuilt after a load
+    // and parameter, notetag and region changes reach existing saves
+    let _mapSettings = null;
+    let _mapSettingsData = null;
+
+    const _Game_Map_setup = Game_Map.prototype.setup;
+    Game_Map.prototype.setup = function(mapId) {
+        _Game_Map_setup.call(this, mapId);
+        this.refreshPerspectiveSettings();
+    };
+
+    Game_Map.prototype.refreshPerspectiveSettings = function() {
+        delete this._perspectiveSettings; // Stored in saves by earlier versions
+        _mapSettingsData = $dataMap;
+        _mapSettings = parseMapSettings($dataMap ? $dataMap.note : '');
+        _mapSettings.bands = $dataMap ? findZoneBands(this) : {};
+    };
+
+    /**
+     * Perspective settings of the current map
+     */
+    Game_Map.prototype.perspectiveSettings = function() {
+        // A loaded game (or a newly loaded map) reads its map data again
+        if ($dataMap && _mapSettingsData !== $dataMap) {
+            this.refreshPerspectiveSettings();
+        }
+        return _mapSettings || DEFAULT_SETTINGS;
+    };
+
+    /**
+     * Scale on a tile: the zone's range inside a depth band, else the
+     * normal scale of the row
+     */
+    function tileScale(settings, x, y, rowScale) {
+        const band = settings.bands && settings.bands[$gameMap.regionId(x, y)];
+        if (!band) return rowScale(y);
+        const span = band.bottom - band.top;
+        const t = span > 0 ? (y - band.top) / span : 0;
+        return band.minScale + (band.maxScale - band.minScale) * t;
+    }
+
+    /**
+     * Scale at a real position, blended between the surrounding tiles so
+     * crossing a band boundary is smooth
+     */
+    function zonedScale(settings, realX, realY, rowScale) {
+        const x0 = Math.floor(realX);
+        const y0 = Math.floor(realY);
+        const fx = realX - x0;
+        const fy = realY - y0;
+        const x1 = fx > 0 ? $gameMap.roundX(x0 + 1) : x0;
+        const y1 = fy > 0 ? $gameMap.roundY(y0 + 1) : y0;
+        const top = tileScale(settings, x0, y0, rowScale) * (1 - fx) + tileScale(settings, x1, y0, rowScale) * fx;
+        const bottom = tileScale(settings, x0, y1, rowScale) * (1 - fx) + tileScale(settings, x1, y1, rowScale) * fx;
+        return top * (1 - fy) + bottom * fy;
+    }
+
+    function catmullRom(p0, p1, p2, p3, u) {
+        const u2 = u * u;
+        const u3 = u2 * u;
+        return 0.5 * (2 * p1 + (p2 - p0) * u + (2 * p0 - 5 * p1 + 4 * p2 - p3) * u2 + (3 * p1 - p0 - 3 * p2 + p3) * u3);
+    }
+
+    /**
+     * Point on the Bezier curve with the keypoints as control points (de Casteljau)
+     */
+    function bezierPoint(points, s) {
+        let ts = points.map(point => point.t);
+        let scales = points.map(point => point.scale);
+        while (ts.length > 1) {
+            ts = ts.slice(1).map((t, i) => ts[i] + (t - ts[i]) * s);
+            scales = scales.slice(1).map((scale, i) => scales[i] + (scale - scales[i]) * s);
+        }
+        return { t: ts[0], scale: scales[0] };
+    }
+
+    /**
+     * Scale of a depth curve at t (0 = top, 1 = bottom)
+     */
+    function curveScale(curve, t) {
+        const points = curve.points;
+        if (points.length === 0) return 1;
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (t <= first.t) return first.scale;
+        if (t >= last.t) return last.scale;
+
+        if (curve.smoothing === 'bezier') {
+            // The curve's t grows with s (keypoints are sorted): find s for t
+            let low = 0;
+            let high = 1;
+            for (let i = 0; i < 20; i++) {
+                const mid = (low + high) / 2;
+                if (bezierPoint(points, mid).t < t) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            return bezierPoint(points, (low + high) / 2).scale;
+        }
+
+        let i = 0;
+        while (i < points.length - 2 && t > points[i + 1].t) {
+            i++;
+        }
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const span = p2.t - p1.t;
+        const u = span > 0 ? (t - p1.t) / span : 0;
+
+        if (curve.smoothing === 'catmullRom') {
+            const p0 = points[i - 1] || p1;
+            const p3 = points[i + 2] || p2;
+            return catmullRom(p0.scale, p1.scale, p2.scale, p3.scale, u);
+        }
+        if (curve.smoothing === 'exponential' && curve.exponent !== 0) {
+            const k = curve.exponent;
+            const eased = (Math.exp(k * u) - 1) / (Math.exp(k) - 1);
+            return p1.scale + (p2.scale - p1.scale) * eased;
+        }
+        return p1.scale + (p2.scale - p1.scale) * u;
+    }
+
+    /**
+     * Scale at t (0 = top, 1 = bottom)
+     */
+    function perspectiveScale(t, settings) {
+        if (settings.curve) {
+            return curveScale(settings.curve, t);
+        }
+        const controlY = settings.controlPointY;
+        if (controlY >= 0 && controlY <= 100) {
+            const controlT = controlY / 100;
+            const controlScale = settings.controlPointScale;
+            if (t <= controlT) {
+                const segmentT = controlT > 0 ? t / controlT : 0;
+                return settings.minScale + (controlScale - settings.minScale) * segmentT;
+            }
+            const segmentRange = 1 - controlT;
+            const segmentT = segmentRange > 0 ? (t - controlT) / segmentRange : 0;
+            return controlScale + (settings.maxScale - controlScale) * segmentT;
+        }
+        return settings.minScale + (settings.maxScale - settings.minScale) * t;
+    }
+
+    const DEFAULT_OPTIONS = { exempt: false, multiplier: 1, anchorY: null };
+
+    // Parsed event notetags, keyed by note text
+    const _eventOptionsCache = {};
+
+    /**
+     * Read <noPerspective>, <perspectiveMultiplier:x> and <perspectiveAnchorY:n>
+     */
+    function parseEventOptions(note) {
+        if (_eventOptionsCache[note]) return _eventOptionsCache[note];
+        const multiplier = /<perspectiveMultiplier:\s*(-?[\d.]+)\s*>/i.exec(note);
+        const anchorY = /<perspectiveAnchorY:\s*(-?[\d.]+)\s*>/i.exec(note);
+        const options = {
+            exempt: /<noPerspective>/i.test(note),
+            multiplier: multiplier ? Number(multiplier[1]) : 1,
+            anchorY: anchorY ? Number(anchorY[1]) : null,
+            tagged: !!(multiplier || anchorY)
+        };
+        _eventOptionsCache[note] = options;
+        return options;
+    }
+
+    /**
+     * How perspective applies to the character: { exempt, multiplier, anchorY }
+     */
+    Game_CharacterBase.prototype.perspectiveOptions = function() {
+        return DEFAULT_OPTIONS;
+    };
+
+    Game_Event.prototype.perspectiveOptions = function() {
+        const event = this.event();
+        const options = event ? parseEventOptions(event.note || '') : DEFAULT_OPTIONS;
+        if (EXEMPT_TILE_EVENTS && this.tileId() > 0 && !options.tagged) {
+            return { exempt: true, multiplier: 1, anchorY: null };
+        }
+        return options;
+    };
 
     Sprite_Character.prototype.updatePerspectiveScale = function() {
         if (!this._character || !$gameMap) return;
 
+        const settings = $gameMap.perspectiveSettings();
+        const options = this._character.perspectiveOptions();
+        if (!settings.enabled || options.exempt) {
+            this._perspectiveScale = 1;
+            this.scale.x = 1;
+            this.scale.y = 1;
+            return;
+        }
+
+        // A fixed anchor row replaces the character's own Y
+        const anchored = options.anchorY !== null;
+        const realX = this._character._realX;
+        const realY = anchored ? options.anchorY : this._character._realY;
+
         let t;
 
         if (USE_SCREEN_BASED) {
-            const screenY = this.y;
+            const screenY = anchored ? ($gameMap.adjustY(realY) + 1) * $gameMap.tileHeight() : this.y;
             const screenHeight = Graphics.height || 816;
             if (screenHeight <= 0) return;
             t = screenY / screenHeight;
             t = Math.max(0, Math.min(1, t));
         } else {
-            if (this._character._realY === undefined || this._character._realY === null) return;
+            if (realY === undefined || realY === null) return;
             const tileHeight = $gameMap.tileHeight() || 48;
             const mapHeight = $gameMap.height() || 20;
             if (mapHeight <= 0 || tileHeight <= 0) return;
             
-            const mapY = this._character._realY * tileHeight;
+            const mapY = realY * tileHeight;
             const totalMapHeight = mapHeight * tileHeight;
             t = mapY / totalMapHeight;
             t = Math.max(0, Math.min(1, t));
         }
 
         let scale;
-        if (USE_CONTROL_POINT) {
-            if (t <= CONTROL_POINT_T) {
-                const segmentT = CONTROL_POINT_T > 0 ? t / CONTROL_POINT_T : 0;
-                scale = MIN_SCALE + (CONTROL_POINT_SCALE - MIN_SCALE) * segmentT;
-            } else {
-                const segmentRange = 1 - CONTROL_POINT_T;
-                const segmentT = segmentRange > 0 ? (t - CONTROL_POINT_T) / segmentRange : 0;
-                scale = CONTROL_POINT_SCALE + (MAX_SCALE - CONTROL_POINT_SCALE) * segmentT;
-            }
+        if (settings.bands && Object.keys(settings.bands).length > 0) {
+            // Outside the bands: the row's map-based scale, or the screen-based one
+            const mapHeight = $gameMap.height() || 20;
+            const screenScale = perspectiveScale(t, settings);
+            const rowScale = USE_SCREEN_BASED
+                ? () => screenScale
+                : y => perspectiveScale(Math.max(0, Math.min(1, y / mapHeight)), settings);
+            scale = zonedScale(settings, realX, realY, rowScale);
         } else {
-            scale = MIN_SCALE + (MAX_SCALE - MIN_SCALE) * t;
+            scale = perspectiveScale(t, settings);
         }
+        scale = 1 + (scale - 1) * options.multiplier;
+        this._perspectiveScale = scale;
 
         this.scale.x = scale;
         this.scale.y = scale;
@@ -122,4 +566,69 @@
         this.updatePerspectiveScale();
     };
 
+    /**
+     * Current perspective scale of the sprite (1 = normal size)
+     */
+    Sprite_Character.prototype.perspectiveScale = function() {
+        return this._perspectiveScale || 1;
+    };
+
+    /**
+     * Perspective scale of a sprite (1 for sprites that aren't characters)
+     */
+    function spritePerspectiveScale(sprite) {
+        return sprite && sprite.perspectiveScale ? sprite.perspectiveScale() : 1;
+    }
+
+    const _Sprite_Balloon_updatePosition = Sprite_Balloon.prototype.updatePosition;
+    Sprite_Balloon.prototype.updatePosition = function() {
+        _Sprite_Balloon_updatePosition.call(this);
+        const scale = spritePerspectiveScale(this._target);
+        this.scale.x = scale;
+        this.scale.y = scale;
+    };
+
+    /**
+     * Keep animations centered on scaled characters
+     * (sprite.height is already scaled, and so is the world transform)
+     */
+    const _Sprite_Animation_targetSpritePosition = Sprite_Animation.prototype.targetSpritePosition;
+    Sprite_Animation.prototype.targetSpritePosition = function(sprite) {
+        const scale = spritePerspectiveScale(sprite);
+        if (scale === 1 || this._animation.alignBottom) {
+            return _Sprite_Animation_targetSpritePosition.call(this, sprite);
+        }
+        const point = new Point(0, -sprite.height / scale / 2);
+        sprite.updateTransform();
+        return sprite.worldTransform.apply(point);
+    };
+
+    const _Sprite_Animation_updateEffectGeometry = Sprite_Animation.prototype.updateEffectGeometry;
+    Sprite_Animation.prototype.updateEffectGeometry = function() {
+        _Sprite_Animation_updateEffectGeometry.call(this);
+        if (this._handle && this._animation.displayType !== 2 && this._targets.length > 0) {
+            const targetScale = this._targets.reduce((sum, target) => sum + spritePerspectiveScale(target), 0) / this._targets.length;
+            const scale = this._animation.scale / 100 * targetScale;
+            this._handle.setScale(scale, scale, scale);
+        }
+    };
+
+    const _Sprite_AnimationMV_updatePosition = Sprite_AnimationMV.prototype.updatePosition;
+    Sprite_AnimationMV.prototype.updatePosition = function() {
+        _Sprite_AnimationMV_updatePosition.call(this);
+        const scale = this._animation.position !== 3 && this._targets.length > 0
+            ? spritePerspectiveScale(this._targets[0])
+            : 1;
+        this.scale.x = scale;
+        this.scale.y = scale;
+    };
+
+    const _Spriteset_Map_updateShadow = Spriteset_Map.prototype.updateShadow;
+    Spriteset_Map.prototype.updateShadow = function() {
+        _Spriteset_Map_updateShadow.call(this);
+        const scale = spritePerspectiveScale(this.findTargetSprite($gameMap.airship()));
+        this._shadowSprite.scale.x = scale;
+        this._shadowSprite.scale.y = scale;
+    };
+
 })();